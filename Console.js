@@ -40,6 +40,30 @@
       // data
       this._consoleCache = []; 
       this._nextId = 1;
+      this._lineCount = 0; // lines in _consoleCache, not counting spacing
+      this._lastClick = { id: '', line: 0 };
+      this._clickEventId = 0;
+      this._maxLines = 0; // 0 = unlimited
+      this._overflowPolicy = 'drop oldest';
+      this._evictedCount = 0;
+      this._dotsEntry = null;
+      this._liveLines = new Set(); // animated lines currently on screen
+      this._lineTimer = null;
+      this._groupStack = []; // ids of the groups new lines are logged into, outermost first
+      this._collapsedGroups = new Set();
+      this._nextGroupId = 1;
+      this._replay = null;
+      this._replayEventId = 0;
+      this._lastReplayedText = '';
+      this._runtimeTaps = new Map(); // tap name -> function that turns it off
+      this._watches = [];
+      this._watchListener = null;
+      this._replEnabled = false;
+      this._typewriters = [];
+      this._typewriterInterval = null;
+      this._typewriterSkip = true;
+      this._typewriterSkipHandler = null;
+      this._typewriterEventId = 0;
       this._inputCache = '';
       this.lastInput = '';
       this._autocorrectEnabled = false;
@@ -52,6 +76,35 @@
       this._commandRegistry = new Set();
       this._activeSuggestions = [];
       this._suggestionIndex = -1;
+      this._suggestionRange = null;
+      this._argSuggestions = new Map(); // "command arg" -> values provided by the project
+
+      // Command schemas (lowercased name -> { name, words, args, usage })
+      this._commandSchemas = new Map();
+      this._lastCommand = { name: '', args: {} };
+      this._lastCommandError = '';
+      this._logCommandErrors = true;
+      this._commandEventId = 0;
+
+      // Input history (oldest first)
+      this._history = [];
+      this._historyLimit = 100;
+      this._historyDedupe = true;
+      this._historyIndex = -1; // -1 while editing the draft, otherwise an index into _history
+      this._historyDraft = '';
+      this._historySearch = null; // { query, index, draft, failed } during Ctrl+R search
+
+      // Input highlight rules, earlier rules win ({ kind, pattern, regex, color, lead })
+      this._inputRules = [];
+      this._markInvalidInput = true;
+
+      // log levels, least to most severe
+      this._levels = ['debug', 'info', 'warn', 'error'];
+
+      // syntax highlighting: language -> ordered token rules
+      this._syntaxTokens = ['keyword', 'string', 'comment', 'number', 'built-in', 'property', 'tag', 'attribute', 'variable', 'operator', 'punctuation'];
+      this._grammars = new Map();
+      this._registerBuiltinGrammars();
 
       // styling defaults
       this._defaults = {
@@ -61,6 +114,7 @@
         timestampTextRaw: '#FFFFFF',
         inputPlaceholder: 'Type command...',
         inputPlaceholderColorRaw: '#888888',
+        inputInvalidColorRaw: '#FF5555',
         fontText: 'Sans Serif',
         fontTimestamp: 'Sans Serif',
         fontInput: 'Sans Serif',
@@ -88,10 +142,78 @@
 
         // --- Geometry Defaults (Percentages) ---
         consoleRegion: { x: 0, y: 0, w: 100, h: 100 },
-        inputRegion: { x: 0, w: 100 }
+        inputRegion: { x: 0, w: 100 },
+
+        // --- Log levels (objects are replaced, never mutated) ---
+        levelColors: { debug: '#888888', info: '#FFFFFF', warn: '#FFCC00', error: '#FF5555' },
+        levelBadges: { debug: 'DEBUG', info: 'INFO', warn: 'WARN', error: 'ERROR' },
+        minLogLevel: 'debug',
+
+        // --- Syntax highlighting token colors (replaced, never mutated) ---
+        syntaxColors: {
+          keyword: '#569CD6', string: '#CE9178', comment: '#6A9955', number: '#B5CEA8', 'built-in': '#4EC9B0',
+          property: '#9CDCFE', tag: '#569CD6', attribute: '#9CDCFE', variable: '#9CDCFE', operator: '#D4D4D4', punctuation: '#808080'
+        },
+
+        // --- CRT effect intensities, 0-100 (replaced, never mutated) ---
+        crtEffects: { scanlines: 0, glow: 0, curvature: 0, flicker: 0, aberration: 0, cursor: 0 }
       };
       this.style = Object.assign({}, this._defaults);
 
+      // Menu labels for the CRT effects, mapped to their crtEffects keys
+      this._crtEffectNames = {
+        'scanlines': 'scanlines', 'glow': 'glow', 'curvature': 'curvature', 'flicker': 'flicker',
+        'chromatic aberration': 'aberration', 'cursor': 'cursor'
+      };
+
+      // Theme presets only set the look; regions, placeholder text and input behavior stay as they are
+      this._themeKeys = [
+        'consoleBG', 'inputBG', 'inputTextRaw', 'timestampTextRaw', 'inputPlaceholderColorRaw', 'inputInvalidColorRaw',
+        'fontText', 'fontTimestamp', 'fontInput', 'sizeText', 'sizeTimestamp', 'sizeInput',
+        'consoleLineSpacing', 'inputLineSpacing', 'consolePadding', 'inputPadding',
+        'textStyle', 'gradientMode', 'levelColors', 'syntaxColors', 'crtEffects'
+      ];
+      this._themePresets = {
+        'default': {},
+        'terminal green': {
+          consoleBG: '#000000', inputBG: '#001A00', inputTextRaw: '#33FF33', timestampTextRaw: '#1E9E1E',
+          inputPlaceholderColorRaw: '#1E7A1E', fontText: 'monospace', fontTimestamp: 'monospace', fontInput: 'monospace',
+          levelColors: { debug: '#1E9E1E', info: '#33FF33', warn: '#CCFF33', error: '#FF5555' },
+          syntaxColors: {
+            keyword: '#7CFF7C', string: '#B8FF66', comment: '#1E9E1E', number: '#66FFCC', 'built-in': '#A6FFA6',
+            property: '#33FF33', tag: '#7CFF7C', attribute: '#33FF33', variable: '#33FF33', operator: '#33FF33', punctuation: '#1E9E1E'
+          }
+        },
+        'solarized': {
+          consoleBG: '#002B36', inputBG: '#073642', inputTextRaw: '#93A1A1', timestampTextRaw: '#586E75',
+          inputPlaceholderColorRaw: '#586E75', inputInvalidColorRaw: '#DC322F',
+          levelColors: { debug: '#586E75', info: '#839496', warn: '#B58900', error: '#DC322F' },
+          syntaxColors: {
+            keyword: '#859900', string: '#2AA198', comment: '#586E75', number: '#D33682', 'built-in': '#B58900',
+            property: '#268BD2', tag: '#268BD2', attribute: '#93A1A1', variable: '#268BD2', operator: '#859900', punctuation: '#657B83'
+          }
+        },
+        'light': {
+          consoleBG: '#FFFFFF', inputBG: '#F0F0F0', inputTextRaw: '#1E1E1E', timestampTextRaw: '#6E6E6E',
+          inputPlaceholderColorRaw: '#9E9E9E', inputInvalidColorRaw: '#C62828',
+          levelColors: { debug: '#6E6E6E', info: '#1E1E1E', warn: '#B26B00', error: '#C62828' },
+          syntaxColors: {
+            keyword: '#0000FF', string: '#A31515', comment: '#008000', number: '#098658', 'built-in': '#267F99',
+            property: '#001080', tag: '#800000', attribute: '#E50000', variable: '#001080', operator: '#000000', punctuation: '#555555'
+          }
+        },
+        'retro CRT': {
+          consoleBG: '#0A0800', inputBG: '#151000', inputTextRaw: '#FFB000', timestampTextRaw: '#A87400',
+          inputPlaceholderColorRaw: '#7A5500', fontText: 'Pixel', fontTimestamp: 'Pixel', fontInput: 'Pixel',
+          levelColors: { debug: '#A87400', info: '#FFB000', warn: '#FFD966', error: '#FF6B3D' },
+          syntaxColors: {
+            keyword: '#FFD966', string: '#FFC94D', comment: '#7A5500', number: '#FFE4A0', 'built-in': '#FFD966',
+            property: '#FFB000', tag: '#FFD966', attribute: '#FFB000', variable: '#FFB000', operator: '#FFB000', punctuation: '#A87400'
+          },
+          crtEffects: { scanlines: 35, glow: 40, curvature: 30, flicker: 0, aberration: 0, cursor: 100 }
+        }
+      };
+
       this.logInputEnabled = true;
       this.textSelectable = true;
 
@@ -104,6 +226,14 @@
       // timestamp format state
       this._timestampFormat = 'off';
 
+      // in-console search
+      this.searchBar = null;
+      this._searchBarVisible = false;
+      this._search = { query: '', mode: 'plain', matches: [], current: -1, byId: new Map() }; // byId: entry id -> its matches
+
+      // virtualized log: only the visible window of _consoleCache is in the DOM
+      this._virtual = this._createVirtualState();
+
       // IntersectionObserver
       this._io = null; 
       this._ioOptions = { root: null, rootMargin: '0px', threshold: [0, 0.01] };
@@ -111,6 +241,47 @@
       this._visibleUpdateInterval = null;
       this._visibleIntervalMs = 200;
 
+      // named consoles: the loaded pane's state lives on `this`, the others in _panes
+      this._paneKeys = [
+        '_consoleCache', '_nextId', '_lineCount', '_virtual', 'consoleVisible', 'consoleOverlay', 'logArea', 'style', 'textSelectable',
+        '_autoScrollEnabled', '_scrollCache', '_lastUserScroll', '_timestampFormat',
+        'searchBar', '_searchBarVisible', '_search', '_maxLines', '_overflowPolicy', '_evictedCount', '_dotsEntry', '_liveLines', '_lineTimer',
+        '_io', '_visibleSet', '_visibleUpdateInterval', '_replay', '_groupStack', '_collapsedGroups', '_nextGroupId'
+      ];
+      // There is a single input, so its styling is shared by every console
+      this._sharedStyleKeys = [
+        'inputBG', 'inputTextRaw', 'inputPlaceholder', 'inputPlaceholderColorRaw', 'fontInput', 'sizeInput', 'inputAlign',
+        'inputLineSpacing', 'minInputHeightPct', 'maxInputHeightPct', 'inputWrapping', 'inputPosition', 'enterBehavior',
+        'inputPadding', 'inputRegion', 'inputInvalidColorRaw'
+      ];
+      this._panes = new Map([['main', {}]]);
+      this._loadedPane = 'main';
+      this._currentPane = 'main';
+      this._paneLayout = 'own regions';
+      // Blocks that act on one console; getInfo gives them an optional [CONSOLE] argument
+      this._consoleBlocks = new Set([
+        'toggleConsole', 'clearConsole', 'logMessage', 'logMarkup', 'logLevel', 'logImage', 'logDots', 'logTable', 'logObject',
+        'logTypewriter', 'logTypewriterAndWait', 'removeLine', 'insertLine', 'replaceLine', 'moveLine', 'getLineText',
+        'styleLine', 'resetLineStyle', 'getConsoleAsArray', 'exportConsole', 'downloadConsole', 'setConsoleFromArray',
+        'getConsoleLineCount', 'isConsoleShown',
+        'logTagged', 'tagLine', 'untagLine', 'setLineMeta', 'getLineMeta', 'getLineTags', 'getTaggedLines', 'countTaggedLines',
+        'removeTaggedLines', 'styleTaggedLines', 'colorTaggedLines',
+        'beginGroup', 'beginCollapsedGroup', 'endGroup', 'setAllGroupsCollapsed', 'setGroupCollapsed', 'getGroupDepth',
+        'logHandleLine', 'logProgressBar', 'logSpinner', 'setLineText', 'setLineColor', 'setLineProgress', 'removeHandleLine',
+        'getHandleLine', 'getLineProgress',
+        'replayConsole', 'setReplayState', 'seekReplay', 'setReplaySpeed', 'getReplayLine', 'getReplayPosition', 'getReplayLength',
+        'getReplayTime', 'isReplaying',
+        'setMaxLines', 'getMaxLines', 'getEvictedCount',
+        'setMinLogLevel', 'getMinLogLevel', 'setLevelColor', 'setLevelBadge',
+        'setScrollTo', 'getMaxScroll', 'getCurrentScroll', 'setAutoScroll', 'isAutoScroll',
+        'logButton',
+        'searchConsole', 'setSearchMode', 'findMatch', 'clearSearch', 'toggleSearchBar', 'getSearchMatchCount', 'getSearchMatchLine',
+        'setColorPicker', 'setFont', 'setTextStyle', 'setGradientMode', 'setSyntaxColor', 'resetSyntaxColors',
+        'setTextSizeMultiplier', 'setAlignment', 'setTextWrapping', 'setLineSpacing', 'setPadding', 'setConsoleRegion',
+        'setTimestampFormat', 'resetStyling', 'setThemePreset', 'getThemeJSON', 'applyThemeJSON',
+        'setCrtEffect', 'clearCrtEffects', 'getCrtEffect'
+      ]);
+
       // helpers
       this._observer = null;
       this._recoveryInterval = null;
@@ -119,24 +290,53 @@
 
       // bind exported methods
       const methods = [
-        'getInfo','toggleConsole','showConsole','hideConsole','clearConsole','logMessage','logDots','logImage','removeLine',
+        'getInfo','toggleConsole','showConsole','hideConsole','clearConsole','logMessage','logMarkup','logDots','logImage','removeLine',
+        'insertLine', 'replaceLine', 'moveLine', 'getLineText',
+        'logTypewriter', 'logTypewriterAndWait', 'finishTypewriter', 'setTypewriterSkip', 'whenTypewriterDone', 'isTyping',
+        'logTable', 'logObject',
+        'logHandleLine', 'logProgressBar', 'logSpinner', 'setLineText', 'setLineColor', 'setLineProgress', 'removeHandleLine',
+        'getHandleLine', 'getLineProgress',
+        'logTagged', 'tagLine', 'untagLine', 'setLineMeta', 'getLineMeta', 'getLineTags', 'getTaggedLines', 'countTaggedLines',
+        'removeTaggedLines', 'styleTaggedLines', 'colorTaggedLines',
+        'beginGroup', 'beginCollapsedGroup', 'endGroup', 'setAllGroupsCollapsed', 'setGroupCollapsed', 'getGroupDepth',
+        'logButton', 'whenLineClicked', 'getClickedId', 'getClickedLine',
+        'logLevel', 'setLevelColor', 'setLevelBadge', 'setMinLogLevel', 'getMinLogLevel',
         'styleLine', 'resetLineStyle',
         'getConsoleAsArray','setConsoleFromArray','getConsoleLineCount','isConsoleShown','setSelectable',
+        'exportConsole', 'downloadConsole',
+        'replayConsole', 'setReplayState', 'seekReplay', 'setReplaySpeed', 'whenReplayLine', 'getReplayLine',
+        'getReplayPosition', 'getReplayLength', 'getReplayTime', 'isReplaying',
+        'setRuntimeTap', 'watchVariable', 'unwatchVariable', 'clearWatches', 'getWatchedVariables',
+        'setMaxLines', 'getMaxLines', 'getEvictedCount',
         'setTimestampFormat','toggleInput','showInput','hideInput','setInputText','runInput','clearInput','setLogInput',
         'whenInput','getLastInput','getCurrentInput','isInputShown',
+        'setReplEnabled', 'isReplEnabled',
         'setAutocorrect', 'getSelectionPosition', 'setInputPosition', 'setEnterBehavior',
         'addCommand', 'removeCommand', 'clearCommands',
+        'defineCommand', 'setArgumentSuggestions', 'whenCommand', 'getCommandArgument', 'getCommandName', 'getCommandError', 'getCommandUsage', 'setLogCommandErrors',
+        'getHistory', 'getHistoryItem', 'getHistoryLength', 'clearHistory', 'loadHistory', 'setHistoryLimit', 'setHistoryDedupe',
+        'addInputKeywordRule', 'addInputRegexRule', 'clearInputRules', 'setMarkInvalidInput', 'setInvalidInputColor',
         'setColorPicker','gradientReporter','gradient3Reporter','gradient4Reporter','setFont','setTextSizeMultiplier','setAlignment',
         'setLineSpacing', 
         'setPadding',
         'setInputPlaceholder','setInputHeightRange','setTextWrapping',
-        'setTextStyle', 'setGradientMode', 
-        'resetStyling',
+        'setTextStyle', 'setGradientMode', 'setSyntaxColor', 'resetSyntaxColors',
+        'resetStyling', 'setThemePreset', 'getThemeJSON', 'applyThemeJSON',
+        'setCrtEffect', 'clearCrtEffects', 'getCrtEffect',
         'setScrollTo','getMaxScroll','getCurrentScroll','setAutoScroll','isAutoScroll',
         // New methods
-        'setConsoleRegion', 'setInputRegion'
+        'setConsoleRegion', 'setInputRegion',
+        'searchConsole', 'setSearchMode', 'findMatch', 'clearSearch', 'toggleSearchBar', 'getSearchMatchCount', 'getSearchMatchLine',
+        'logTo', 'createNamedConsole', 'deleteNamedConsole', 'setCurrentConsole', 'getCurrentConsole', 'getConsoleNames', 'setConsoleLayout'
       ];
-      for (const m of methods) if (typeof this[m] === 'function') this[m] = this[m].bind(this);
+      for (const m of methods) {
+        if (typeof this[m] !== 'function') continue;
+        const fn = this[m].bind(this);
+        // A block given a console name runs against that console; left blank it uses the current one
+        this[m] = !this._consoleBlocks.has(m) ? fn : (args, util) => (
+          (args && String(args.CONSOLE ?? '').trim() !== '') ? this._withPane(args.CONSOLE, () => fn(args, util)) : fn(args, util)
+        );
+      }
 
       // startup
       this._injectBaseCSS();
@@ -152,26 +352,115 @@
         color1: '#333333',
         color2: '#222222',
         color3: '#111111',
-        blocks: [
+        blocks: this._addConsoleArguments([
           { opcode: 'toggleConsole', blockType: BlockType.COMMAND, text: '[ACTION] console', arguments: { ACTION: { type: ArgumentType.STRING, menu: 'toggleMenu', defaultValue: 'show' } } },
           { opcode: 'clearConsole', blockType: BlockType.COMMAND, text: 'clear console' },
           { opcode: 'logMessage', blockType: BlockType.COMMAND, text: 'log [TEXT] in color [COLOR]', arguments: { TEXT: { type: ArgumentType.STRING, defaultValue: 'Hello!' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' } } },
+          { opcode: 'logMarkup', blockType: BlockType.COMMAND, text: 'log markup [TEXT] in color [COLOR]', arguments: { TEXT: { type: ArgumentType.STRING, defaultValue: '[b]Bold[/b], [i]italic[/i] and [color=#FF5555]red[/color]' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' } } },
+          { opcode: 'logLevel', blockType: BlockType.COMMAND, text: 'log [TEXT] as [LEVEL]', arguments: { TEXT: { type: ArgumentType.STRING, defaultValue: 'Something happened' }, LEVEL: { type: ArgumentType.STRING, menu: 'levelMenu', defaultValue: 'info' } } },
           
           { opcode: 'logImage', blockType: BlockType.COMMAND, text: 'log image [SRC] size [W] x [H] roundness [R]', arguments: { SRC: { type: ArgumentType.STRING, defaultValue: 'https://extensions.turbowarp.org/dango.png' }, W: { type: ArgumentType.NUMBER, defaultValue: 0 }, H: { type: ArgumentType.NUMBER, defaultValue: 0 }, R: { type: ArgumentType.NUMBER, defaultValue: 4 } } },
           
           { opcode: 'logDots', blockType: BlockType.COMMAND, text: 'log dots in color [COLOR]', arguments: { COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' } } },
+
+          { opcode: 'logTable', blockType: BlockType.COMMAND, text: 'log table [JSON]', arguments: { JSON: { type: ArgumentType.STRING, defaultValue: '[{"name":"Alice","score":12},{"name":"Bob","score":9}]' } } },
+          { opcode: 'logObject', blockType: BlockType.COMMAND, text: 'log object [JSON]', arguments: { JSON: { type: ArgumentType.STRING, defaultValue: '{"name":"Alice","tags":["red","blue"],"pos":{"x":0,"y":0}}' } } },
+
+          { opcode: 'logTypewriter', blockType: BlockType.COMMAND, text: 'log [TEXT] in color [COLOR] with typewriter speed [CPS]', arguments: { TEXT: { type: ArgumentType.STRING, defaultValue: 'Once upon a time...' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' }, CPS: { type: ArgumentType.NUMBER, defaultValue: 30 } } },
+          { opcode: 'logTypewriterAndWait', blockType: BlockType.COMMAND, text: 'log [TEXT] in color [COLOR] with typewriter speed [CPS] and wait', arguments: { TEXT: { type: ArgumentType.STRING, defaultValue: 'Once upon a time...' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' }, CPS: { type: ArgumentType.NUMBER, defaultValue: 30 } } },
+          { opcode: 'finishTypewriter', blockType: BlockType.COMMAND, text: 'finish typewriter lines' },
+          { opcode: 'setTypewriterSkip', blockType: BlockType.COMMAND, text: 'click or key finishes typewriter [ENABLED]', arguments: { ENABLED: { type: ArgumentType.BOOLEAN, defaultValue: true } } },
+          { opcode: 'whenTypewriterDone', blockType: BlockType.HAT, text: 'when typewriter line finishes' },
+          { opcode: 'isTyping', blockType: BlockType.BOOLEAN, text: 'typewriter running?' },
           
           { opcode: 'removeLine', blockType: BlockType.COMMAND, text: 'remove console line [INDEX]', arguments: { INDEX: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
+          { opcode: 'insertLine', blockType: BlockType.COMMAND, text: 'insert [TEXT] in color [COLOR] at console line [INDEX]', arguments: { TEXT: { type: ArgumentType.STRING, defaultValue: '=== Header ===' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' }, INDEX: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
+          { opcode: 'replaceLine', blockType: BlockType.COMMAND, text: 'replace console line [INDEX] with [TEXT]', arguments: { INDEX: { type: ArgumentType.NUMBER, defaultValue: 1 }, TEXT: { type: ArgumentType.STRING, defaultValue: 'Fixed!' } } },
+          { opcode: 'moveLine', blockType: BlockType.COMMAND, text: 'move console line [FROM] to [TO]', arguments: { FROM: { type: ArgumentType.NUMBER, defaultValue: 2 }, TO: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
+          { opcode: 'getLineText', blockType: BlockType.REPORTER, text: 'text of console line [INDEX]', arguments: { INDEX: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
 
           { opcode: 'styleLine', blockType: BlockType.COMMAND, text: 'style line [INDEX] font [FONT] size [SIZE] align [ALIGN]', arguments: { INDEX: { type: ArgumentType.NUMBER, defaultValue: 1 }, FONT: { type: ArgumentType.STRING, defaultValue: 'Sans Serif' }, SIZE: { type: ArgumentType.NUMBER, defaultValue: 1 }, ALIGN: { type: ArgumentType.STRING, menu: 'alignmentMenu', defaultValue: 'left' } } },
           
           { opcode: 'resetLineStyle', blockType: BlockType.COMMAND, text: 'reset style on line [INDEX]', arguments: { INDEX: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
 
           { opcode: 'getConsoleAsArray', blockType: BlockType.REPORTER, text: 'get console JSON' },
+          { opcode: 'exportConsole', blockType: BlockType.REPORTER, text: 'console as [FORMAT]', arguments: { FORMAT: { type: ArgumentType.STRING, menu: 'exportFormatMenu', defaultValue: 'plain text' } } },
+          { opcode: 'downloadConsole', blockType: BlockType.COMMAND, text: 'download console as [FORMAT] named [NAME]', arguments: { FORMAT: { type: ArgumentType.STRING, menu: 'exportFormatMenu', defaultValue: 'plain text' }, NAME: { type: ArgumentType.STRING, defaultValue: 'console-log' } } },
           { opcode: 'setConsoleFromArray', blockType: BlockType.COMMAND, text: 'load console from JSON [ARRAY]', arguments: { ARRAY: { type: ArgumentType.STRING, defaultValue: '[]' } } },
           { opcode: 'getConsoleLineCount', blockType: BlockType.REPORTER, text: 'console line count' },
           { opcode: 'isConsoleShown', blockType: BlockType.BOOLEAN, text: 'console shown?' },
 
+          { blockType: BlockType.LABEL, text: 'Tags & Metadata' },
+          { opcode: 'logTagged', blockType: BlockType.COMMAND, text: 'log [TEXT] in color [COLOR] tagged [TAGS] with metadata [META]', arguments: { TEXT: { type: ArgumentType.STRING, defaultValue: 'Find the lost key' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' }, TAGS: { type: ArgumentType.STRING, defaultValue: 'quest, active' }, META: { type: ArgumentType.STRING, defaultValue: '{"quest":"key"}' } } },
+          { opcode: 'tagLine', blockType: BlockType.COMMAND, text: 'add tags [TAGS] to line [INDEX]', arguments: { TAGS: { type: ArgumentType.STRING, defaultValue: 'done' }, INDEX: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
+          { opcode: 'untagLine', blockType: BlockType.COMMAND, text: 'remove tag [TAG] from line [INDEX]', arguments: { TAG: { type: ArgumentType.STRING, defaultValue: 'active' }, INDEX: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
+          { opcode: 'setLineMeta', blockType: BlockType.COMMAND, text: 'set metadata [KEY] of line [INDEX] to [VALUE]', arguments: { KEY: { type: ArgumentType.STRING, defaultValue: 'quest' }, INDEX: { type: ArgumentType.NUMBER, defaultValue: 1 }, VALUE: { type: ArgumentType.STRING, defaultValue: 'key' } } },
+          { opcode: 'getLineMeta', blockType: BlockType.REPORTER, text: 'metadata [KEY] of line [INDEX]', arguments: { KEY: { type: ArgumentType.STRING, defaultValue: 'quest' }, INDEX: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
+          { opcode: 'getLineTags', blockType: BlockType.REPORTER, text: 'tags of line [INDEX]', arguments: { INDEX: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
+          { opcode: 'getTaggedLines', blockType: BlockType.REPORTER, text: '[FORMAT] of lines tagged [TAG]', arguments: { FORMAT: { type: ArgumentType.STRING, menu: 'taggedFormatMenu', defaultValue: 'line numbers' }, TAG: { type: ArgumentType.STRING, defaultValue: 'quest' } } },
+          { opcode: 'countTaggedLines', blockType: BlockType.REPORTER, text: 'number of lines tagged [TAG]', arguments: { TAG: { type: ArgumentType.STRING, defaultValue: 'quest' } } },
+          { opcode: 'removeTaggedLines', blockType: BlockType.COMMAND, text: 'remove lines tagged [TAG]', arguments: { TAG: { type: ArgumentType.STRING, defaultValue: 'done' } } },
+          { opcode: 'styleTaggedLines', blockType: BlockType.COMMAND, text: 'style lines tagged [TAG] font [FONT] size [SIZE] align [ALIGN]', arguments: { TAG: { type: ArgumentType.STRING, defaultValue: 'quest' }, FONT: { type: ArgumentType.STRING, defaultValue: 'Sans Serif' }, SIZE: { type: ArgumentType.NUMBER, defaultValue: 1 }, ALIGN: { type: ArgumentType.STRING, menu: 'alignmentMenu', defaultValue: 'left' } } },
+          { opcode: 'colorTaggedLines', blockType: BlockType.COMMAND, text: 'set color of lines tagged [TAG] to [COLOR]', arguments: { TAG: { type: ArgumentType.STRING, defaultValue: 'done' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#888888' } } },
+
+          { blockType: BlockType.LABEL, text: 'Groups' },
+          { opcode: 'beginGroup', blockType: BlockType.COMMAND, text: 'begin group [TITLE] in color [COLOR]', arguments: { TITLE: { type: ArgumentType.STRING, defaultValue: 'Loading level' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' } } },
+          { opcode: 'beginCollapsedGroup', blockType: BlockType.COMMAND, text: 'begin collapsed group [TITLE] in color [COLOR]', arguments: { TITLE: { type: ArgumentType.STRING, defaultValue: 'Details' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' } } },
+          { opcode: 'endGroup', blockType: BlockType.COMMAND, text: 'end group' },
+          { opcode: 'setAllGroupsCollapsed', blockType: BlockType.COMMAND, text: '[ACTION] all groups', arguments: { ACTION: { type: ArgumentType.STRING, menu: 'groupActionMenu', defaultValue: 'collapse' } } },
+          { opcode: 'setGroupCollapsed', blockType: BlockType.COMMAND, text: '[ACTION] group [TITLE]', arguments: { ACTION: { type: ArgumentType.STRING, menu: 'groupActionMenu', defaultValue: 'expand' }, TITLE: { type: ArgumentType.STRING, defaultValue: 'Loading level' } } },
+          { opcode: 'getGroupDepth', blockType: BlockType.REPORTER, text: 'group depth' },
+
+          { blockType: BlockType.LABEL, text: 'Live Lines' },
+          { opcode: 'logHandleLine', blockType: BlockType.COMMAND, text: 'log [TEXT] in color [COLOR] as line [HANDLE]', arguments: { TEXT: { type: ArgumentType.STRING, defaultValue: 'Status: ready' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' }, HANDLE: { type: ArgumentType.STRING, defaultValue: 'status' } } },
+          { opcode: 'logProgressBar', blockType: BlockType.COMMAND, text: 'log progress bar [HANDLE] labeled [TEXT] at [VALUE] % in color [COLOR]', arguments: { HANDLE: { type: ArgumentType.STRING, defaultValue: 'download' }, TEXT: { type: ArgumentType.STRING, defaultValue: 'Downloading' }, VALUE: { type: ArgumentType.NUMBER, defaultValue: 0 }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#4CAF50' } } },
+          { opcode: 'logSpinner', blockType: BlockType.COMMAND, text: 'log spinner [HANDLE] labeled [TEXT] in color [COLOR]', arguments: { HANDLE: { type: ArgumentType.STRING, defaultValue: 'loader' }, TEXT: { type: ArgumentType.STRING, defaultValue: 'Loading' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' } } },
+          { opcode: 'setLineText', blockType: BlockType.COMMAND, text: 'set text of line [HANDLE] to [TEXT]', arguments: { HANDLE: { type: ArgumentType.STRING, defaultValue: 'status' }, TEXT: { type: ArgumentType.STRING, defaultValue: 'Status: done' } } },
+          { opcode: 'setLineColor', blockType: BlockType.COMMAND, text: 'set color of line [HANDLE] to [COLOR]', arguments: { HANDLE: { type: ArgumentType.STRING, defaultValue: 'status' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#4CAF50' } } },
+          { opcode: 'setLineProgress', blockType: BlockType.COMMAND, text: 'set progress of line [HANDLE] to [VALUE] %', arguments: { HANDLE: { type: ArgumentType.STRING, defaultValue: 'download' }, VALUE: { type: ArgumentType.NUMBER, defaultValue: 50 } } },
+          { opcode: 'removeHandleLine', blockType: BlockType.COMMAND, text: 'remove line [HANDLE]', arguments: { HANDLE: { type: ArgumentType.STRING, defaultValue: 'loader' } } },
+          { opcode: 'getHandleLine', blockType: BlockType.REPORTER, text: 'line number of [HANDLE]', arguments: { HANDLE: { type: ArgumentType.STRING, defaultValue: 'status' } } },
+          { opcode: 'getLineProgress', blockType: BlockType.REPORTER, text: 'progress of line [HANDLE]', arguments: { HANDLE: { type: ArgumentType.STRING, defaultValue: 'download' } } },
+
+          { blockType: BlockType.LABEL, text: 'Replay' },
+          { opcode: 'replayConsole', blockType: BlockType.COMMAND, text: 'replay console JSON [ARRAY] at speed [SPEED]', arguments: { ARRAY: { type: ArgumentType.STRING, defaultValue: '[]' }, SPEED: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
+          { opcode: 'setReplayState', blockType: BlockType.COMMAND, text: '[ACTION] replay', arguments: { ACTION: { type: ArgumentType.STRING, menu: 'replayActionMenu', defaultValue: 'pause' } } },
+          { opcode: 'seekReplay', blockType: BlockType.COMMAND, text: 'seek replay to [UNIT] [POSITION]', arguments: { UNIT: { type: ArgumentType.STRING, menu: 'replaySeekMenu', defaultValue: 'line' }, POSITION: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
+          { opcode: 'setReplaySpeed', blockType: BlockType.COMMAND, text: 'set replay speed to [SPEED]', arguments: { SPEED: { type: ArgumentType.NUMBER, defaultValue: 2 } } },
+          { opcode: 'whenReplayLine', blockType: BlockType.HAT, text: 'when replay logs a line' },
+          { opcode: 'getReplayLine', blockType: BlockType.REPORTER, text: 'replayed line' },
+          { opcode: 'getReplayPosition', blockType: BlockType.REPORTER, text: 'replay position' },
+          { opcode: 'getReplayLength', blockType: BlockType.REPORTER, text: 'replay length' },
+          { opcode: 'getReplayTime', blockType: BlockType.REPORTER, text: 'replay time (seconds)' },
+          { opcode: 'isReplaying', blockType: BlockType.BOOLEAN, text: 'replaying?' },
+
+          { blockType: BlockType.LABEL, text: 'Runtime Taps' },
+          { opcode: 'setRuntimeTap', blockType: BlockType.COMMAND, text: 'mirror [TAP] into console [ENABLED]', arguments: { TAP: { type: ArgumentType.STRING, menu: 'runtimeTapMenu', defaultValue: 'say and think' }, ENABLED: { type: ArgumentType.BOOLEAN, defaultValue: true } } },
+          { opcode: 'watchVariable', blockType: BlockType.COMMAND, text: 'watch variable [NAME] of [TARGET]', arguments: { NAME: { type: ArgumentType.STRING, defaultValue: 'my variable' }, TARGET: { type: ArgumentType.STRING, defaultValue: 'Stage' } } },
+          { opcode: 'unwatchVariable', blockType: BlockType.COMMAND, text: 'stop watching variable [NAME] of [TARGET]', arguments: { NAME: { type: ArgumentType.STRING, defaultValue: 'my variable' }, TARGET: { type: ArgumentType.STRING, defaultValue: 'Stage' } } },
+          { opcode: 'clearWatches', blockType: BlockType.COMMAND, text: 'stop watching all variables' },
+          { opcode: 'getWatchedVariables', blockType: BlockType.REPORTER, text: 'watched variables' },
+
+          { blockType: BlockType.LABEL, text: 'Named Consoles' },
+          { opcode: 'createNamedConsole', blockType: BlockType.COMMAND, text: 'create console [NAME]', arguments: { NAME: { type: ArgumentType.STRING, defaultValue: 'chat' } } },
+          { opcode: 'deleteNamedConsole', blockType: BlockType.COMMAND, text: 'delete console [NAME]', arguments: { NAME: { type: ArgumentType.STRING, defaultValue: 'chat' } } },
+          { opcode: 'setCurrentConsole', blockType: BlockType.COMMAND, text: 'set current console to [NAME]', arguments: { NAME: { type: ArgumentType.STRING, defaultValue: 'main' } } },
+          { opcode: 'logTo', blockType: BlockType.COMMAND, text: 'log [TEXT] in color [COLOR] to console [CONSOLE]', arguments: { TEXT: { type: ArgumentType.STRING, defaultValue: 'Hello!' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' }, CONSOLE: { type: ArgumentType.STRING, defaultValue: 'chat' } } },
+          { opcode: 'setConsoleLayout', blockType: BlockType.COMMAND, text: 'arrange consoles as [LAYOUT]', arguments: { LAYOUT: { type: ArgumentType.STRING, menu: 'consoleLayoutMenu', defaultValue: 'tabs' } } },
+          { opcode: 'getCurrentConsole', blockType: BlockType.REPORTER, text: 'current console' },
+          { opcode: 'getConsoleNames', blockType: BlockType.REPORTER, text: 'console names' },
+
+          { blockType: BlockType.LABEL, text: 'Line Buffer' },
+          { opcode: 'setMaxLines', blockType: BlockType.COMMAND, text: 'limit console to [MAX] lines, when full [POLICY]', arguments: { MAX: { type: ArgumentType.NUMBER, defaultValue: 1000 }, POLICY: { type: ArgumentType.STRING, menu: 'overflowPolicyMenu', defaultValue: 'drop oldest' } } },
+          { opcode: 'getMaxLines', blockType: BlockType.REPORTER, text: 'console line limit' },
+          { opcode: 'getEvictedCount', blockType: BlockType.REPORTER, text: 'evicted line count' },
+
+          { blockType: BlockType.LABEL, text: 'Log Levels' },
+          { opcode: 'setMinLogLevel', blockType: BlockType.COMMAND, text: 'set minimum log level to [LEVEL]', arguments: { LEVEL: { type: ArgumentType.STRING, menu: 'levelMenu', defaultValue: 'debug' } } },
+          { opcode: 'getMinLogLevel', blockType: BlockType.REPORTER, text: 'minimum log level' },
+          { opcode: 'setLevelColor', blockType: BlockType.COMMAND, text: 'set [LEVEL] level color to [COLOR]', arguments: { LEVEL: { type: ArgumentType.STRING, menu: 'levelMenu', defaultValue: 'warn' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFCC00' } } },
+          { opcode: 'setLevelBadge', blockType: BlockType.COMMAND, text: 'set [LEVEL] level badge to [TEXT]', arguments: { LEVEL: { type: ArgumentType.STRING, menu: 'levelMenu', defaultValue: 'warn' }, TEXT: { type: ArgumentType.STRING, defaultValue: 'WARN' } } },
+
           { blockType: BlockType.LABEL, text: 'Scroll & View' },
           { opcode: 'setScrollTo', blockType: BlockType.COMMAND, text: 'set [TARGET] scroll to [Y]', arguments: { TARGET: { type: ArgumentType.STRING, menu: 'scrollTargetMenu', defaultValue: 'console' }, Y: { type: ArgumentType.NUMBER, defaultValue: 0 } } },
           { opcode: 'getMaxScroll', blockType: BlockType.REPORTER, text: '[TARGET] max scroll', arguments: { TARGET: { type: ArgumentType.STRING, menu: 'scrollTargetMenu', defaultValue: 'console' } } },
@@ -179,6 +468,21 @@
           
           { opcode: 'setAutoScroll', blockType: BlockType.COMMAND, text: 'set autscroll to [ENABLED]', arguments: { ENABLED: { type: ArgumentType.BOOLEAN, defaultValue: true } } },
           { opcode: 'isAutoScroll', blockType: BlockType.BOOLEAN, text: 'is autoscroll on?' },
+
+          { blockType: BlockType.LABEL, text: 'Clickable Lines' },
+          { opcode: 'logButton', blockType: BlockType.COMMAND, text: 'log button [TEXT] with id [ID] in color [COLOR]', arguments: { TEXT: { type: ArgumentType.STRING, defaultValue: 'Retry' }, ID: { type: ArgumentType.STRING, defaultValue: 'retry' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#FFFFFF' } } },
+          { opcode: 'whenLineClicked', blockType: BlockType.HAT, text: 'when console line clicked' },
+          { opcode: 'getClickedId', blockType: BlockType.REPORTER, text: 'clicked id' },
+          { opcode: 'getClickedLine', blockType: BlockType.REPORTER, text: 'clicked line index' },
+
+          { blockType: BlockType.LABEL, text: 'Search' },
+          { opcode: 'searchConsole', blockType: BlockType.COMMAND, text: 'search console for [QUERY]', arguments: { QUERY: { type: ArgumentType.STRING, defaultValue: 'error' } } },
+          { opcode: 'setSearchMode', blockType: BlockType.COMMAND, text: 'set search mode to [MODE]', arguments: { MODE: { type: ArgumentType.STRING, menu: 'searchModeMenu', defaultValue: 'case-insensitive' } } },
+          { opcode: 'findMatch', blockType: BlockType.COMMAND, text: 'go to [DIRECTION] match', arguments: { DIRECTION: { type: ArgumentType.STRING, menu: 'matchDirectionMenu', defaultValue: 'next' } } },
+          { opcode: 'clearSearch', blockType: BlockType.COMMAND, text: 'clear search' },
+          { opcode: 'toggleSearchBar', blockType: BlockType.COMMAND, text: '[ACTION] search bar', arguments: { ACTION: { type: ArgumentType.STRING, menu: 'toggleMenu', defaultValue: 'show' } } },
+          { opcode: 'getSearchMatchCount', blockType: BlockType.REPORTER, text: 'search match count' },
+          { opcode: 'getSearchMatchLine', blockType: BlockType.REPORTER, text: 'current match line' },
           
           { blockType: BlockType.LABEL, text: 'Input & Autofill' },
           { opcode: 'toggleInput', blockType: BlockType.COMMAND, text: '[ACTION] input', arguments: { ACTION: { type: ArgumentType.STRING, menu: 'toggleMenu', defaultValue: 'show' } } },
@@ -188,9 +492,34 @@
           { opcode: 'removeCommand', blockType: BlockType.COMMAND, text: 'remove command [TEXT] from autofill', arguments: { TEXT: { type: ArgumentType.STRING, defaultValue: '/help' } } },
           { opcode: 'clearCommands', blockType: BlockType.COMMAND, text: 'clear all autofill commands' },
 
+          { opcode: 'defineCommand', blockType: BlockType.COMMAND, text: 'define command [SPEC]', arguments: { SPEC: { type: ArgumentType.STRING, defaultValue: '/give <player:string> <amount:number> [silent:boolean]' } } },
+          { opcode: 'setArgumentSuggestions', blockType: BlockType.COMMAND, text: 'set suggestions for command [COMMAND] argument [ARG] to [VALUES]', arguments: { COMMAND: { type: ArgumentType.STRING, defaultValue: '/give' }, ARG: { type: ArgumentType.STRING, defaultValue: 'player' }, VALUES: { type: ArgumentType.STRING, defaultValue: '["Alice","Bob"]' } } },
+          { opcode: 'whenCommand', blockType: BlockType.HAT, text: 'when command [NAME] entered', arguments: { NAME: { type: ArgumentType.STRING, defaultValue: '/give' } } },
+          { opcode: 'getCommandArgument', blockType: BlockType.REPORTER, text: 'argument [NAME]', arguments: { NAME: { type: ArgumentType.STRING, defaultValue: 'player' } } },
+          { opcode: 'getCommandName', blockType: BlockType.REPORTER, text: 'last command' },
+          { opcode: 'getCommandError', blockType: BlockType.REPORTER, text: 'last command error' },
+          { opcode: 'getCommandUsage', blockType: BlockType.REPORTER, text: 'usage of command [NAME]', arguments: { NAME: { type: ArgumentType.STRING, defaultValue: '/give' } } },
+          { opcode: 'setLogCommandErrors', blockType: BlockType.COMMAND, text: 'set log command errors to [ENABLED]', arguments: { ENABLED: { type: ArgumentType.BOOLEAN, defaultValue: true } } },
+
+          { opcode: 'getHistory', blockType: BlockType.REPORTER, text: 'input history as JSON' },
+          { opcode: 'getHistoryItem', blockType: BlockType.REPORTER, text: 'input history item [INDEX]', arguments: { INDEX: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
+          { opcode: 'getHistoryLength', blockType: BlockType.REPORTER, text: 'input history length' },
+          { opcode: 'clearHistory', blockType: BlockType.COMMAND, text: 'clear input history' },
+          { opcode: 'loadHistory', blockType: BlockType.COMMAND, text: 'load input history from JSON [JSON]', arguments: { JSON: { type: ArgumentType.STRING, defaultValue: '[]' } } },
+          { opcode: 'setHistoryLimit', blockType: BlockType.COMMAND, text: 'set input history limit to [LIMIT]', arguments: { LIMIT: { type: ArgumentType.NUMBER, defaultValue: 100 } } },
+          { opcode: 'setHistoryDedupe', blockType: BlockType.COMMAND, text: 'set remove duplicate history to [ENABLED]', arguments: { ENABLED: { type: ArgumentType.BOOLEAN, defaultValue: true } } },
+
+          { opcode: 'addInputKeywordRule', blockType: BlockType.COMMAND, text: 'highlight input keyword [WORD] in color [COLOR]', arguments: { WORD: { type: ArgumentType.STRING, defaultValue: '/kick' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#569CD6' } } },
+          { opcode: 'addInputRegexRule', blockType: BlockType.COMMAND, text: 'highlight input matching regex [REGEX] in color [COLOR]', arguments: { REGEX: { type: ArgumentType.STRING, defaultValue: '@\\w+' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#4EC9B0' } } },
+          { opcode: 'clearInputRules', blockType: BlockType.COMMAND, text: 'clear input highlight rules' },
+          { opcode: 'setMarkInvalidInput', blockType: BlockType.COMMAND, text: 'set mark invalid input to [ENABLED]', arguments: { ENABLED: { type: ArgumentType.BOOLEAN, defaultValue: true } } },
+          { opcode: 'setInvalidInputColor', blockType: BlockType.COMMAND, text: 'set invalid input color to [COLOR]', arguments: { COLOR: { type: ArgumentType.COLOR, defaultValue: '#FF5555' } } },
+
           { opcode: 'runInput', blockType: BlockType.COMMAND, text: 'run [TEXT]', arguments: { TEXT: { type: ArgumentType.STRING, defaultValue: '' } } },
           { opcode: 'clearInput', blockType: BlockType.COMMAND, text: 'clear input' },
           { opcode: 'setLogInput', blockType: BlockType.COMMAND, text: 'set log input to [ENABLED]', arguments: { ENABLED: { type: ArgumentType.BOOLEAN, defaultValue: true } } },
+          { opcode: 'setReplEnabled', blockType: BlockType.COMMAND, text: 'set developer REPL to [ENABLED]', arguments: { ENABLED: { type: ArgumentType.BOOLEAN, defaultValue: true } } },
+          { opcode: 'isReplEnabled', blockType: BlockType.BOOLEAN, text: 'developer REPL on?' },
           { opcode: 'whenInput', blockType: BlockType.HAT, text: 'when input entered' },
           { opcode: 'getLastInput', blockType: BlockType.REPORTER, text: 'last input' },
           { opcode: 'getCurrentInput', blockType: BlockType.REPORTER, text: 'current input' },
@@ -215,6 +544,8 @@
           { opcode: 'setFont', blockType: BlockType.COMMAND, text: 'set [PART] font to [FONT]', arguments: { PART: { type: ArgumentType.STRING, menu: 'fontParts', defaultValue: 'text' }, FONT: { type: ArgumentType.STRING, defaultValue: 'Sans Serif' } } },
           { opcode: 'setTextStyle', blockType: BlockType.COMMAND, text: 'set [PART] text style to [STYLE]', arguments: { PART: { type: ArgumentType.STRING, menu: 'styleParts', defaultValue: 'text' }, STYLE: { type: ArgumentType.STRING, menu: 'styleMenu', defaultValue: 'default' } } },
           { opcode: 'setGradientMode', blockType: BlockType.COMMAND, text: 'set gradient mode to [MODE]', arguments: { MODE: { type: ArgumentType.STRING, menu: 'gradientModeMenu', defaultValue: 'normal' } } },
+          { opcode: 'setSyntaxColor', blockType: BlockType.COMMAND, text: 'set syntax color of [TOKEN] to [COLOR]', arguments: { TOKEN: { type: ArgumentType.STRING, menu: 'syntaxTokenMenu', defaultValue: 'keyword' }, COLOR: { type: ArgumentType.COLOR, defaultValue: '#569CD6' } } },
+          { opcode: 'resetSyntaxColors', blockType: BlockType.COMMAND, text: 'reset syntax colors' },
 
           { opcode: 'setTextSizeMultiplier', blockType: BlockType.COMMAND, text: 'set [PART] text size multiplier to [MULTIPLIER]', arguments: { PART: { type: ArgumentType.STRING, menu: 'sizeParts', defaultValue: 'text' }, MULTIPLIER: { type: ArgumentType.NUMBER, defaultValue: 1 } } },
           { opcode: 'setAlignment', blockType: BlockType.COMMAND, text: 'set [PART] alignment to [ALIGN]', arguments: { PART: { type: ArgumentType.STRING, menu: 'alignmentParts', defaultValue: 'text' }, ALIGN: { type: ArgumentType.STRING, menu: 'alignmentMenu', defaultValue: 'left' } } },
@@ -232,15 +563,35 @@
           { opcode: 'setInputHeightRange', blockType: BlockType.COMMAND, text: 'set input height min [MIN]% max [MAX]%', arguments: { MIN: { type: ArgumentType.NUMBER, defaultValue: 10 }, MAX: { type: ArgumentType.NUMBER, defaultValue: 40 } } },
 
           { opcode: 'setTimestampFormat', blockType: BlockType.COMMAND, text: 'set timestamp format to [FORMAT]', arguments: { FORMAT: { type: ArgumentType.STRING, menu: 'timeFormat', defaultValue: 'off' } } },
-          { opcode: 'resetStyling', blockType: BlockType.COMMAND, text: 'reset styling' }
-        ],
+          { opcode: 'resetStyling', blockType: BlockType.COMMAND, text: 'reset styling' },
+          { opcode: 'setThemePreset', blockType: BlockType.COMMAND, text: 'use theme [THEME]', arguments: { THEME: { type: ArgumentType.STRING, menu: 'themePresetMenu', defaultValue: 'terminal green' } } },
+          { opcode: 'getThemeJSON', blockType: BlockType.REPORTER, text: 'theme as JSON' },
+          { opcode: 'applyThemeJSON', blockType: BlockType.COMMAND, text: 'apply theme JSON [JSON]', arguments: { JSON: { type: ArgumentType.STRING, defaultValue: '{"consoleBG":"#002B36"}' } } },
+
+          { blockType: BlockType.LABEL, text: 'CRT Effects' },
+          { opcode: 'setCrtEffect', blockType: BlockType.COMMAND, text: 'set CRT [EFFECT] intensity to [AMOUNT]%', arguments: { EFFECT: { type: ArgumentType.STRING, menu: 'crtEffectMenu', defaultValue: 'scanlines' }, AMOUNT: { type: ArgumentType.NUMBER, defaultValue: 50 } } },
+          { opcode: 'clearCrtEffects', blockType: BlockType.COMMAND, text: 'turn off CRT effects' },
+          { opcode: 'getCrtEffect', blockType: BlockType.REPORTER, text: 'CRT [EFFECT] intensity', arguments: { EFFECT: { type: ArgumentType.STRING, menu: 'crtEffectMenu', defaultValue: 'scanlines' } } }
+        ]),
         menus: {
           toggleMenu: ['show', 'hide', 'toggle'],
+          levelMenu: ['debug', 'info', 'warn', 'error'],
+          overflowPolicyMenu: ['drop oldest', 'drop newest', 'ignore'],
+          consoleLayoutMenu: ['tabs', 'side by side', 'own regions'],
+          exportFormatMenu: ['plain text', 'HTML', 'Markdown', 'JSON'],
+          taggedFormatMenu: ['line numbers', 'text'],
+          groupActionMenu: ['expand', 'collapse'],
+          replayActionMenu: ['pause', 'resume', 'stop'],
+          replaySeekMenu: ['line', 'second'],
+          runtimeTapMenu: ['say and think', 'broadcasts', 'start and stop', 'errors'],
+          themePresetMenu: ['default', 'terminal green', 'solarized', 'light', 'retro CRT'],
+          crtEffectMenu: ['scanlines', 'glow', 'curvature', 'flicker', 'chromatic aberration', 'cursor'],
           timeFormat: ['off', '24h', '12h', 'relative'],
           colorParts: ['console background', 'input background', 'input text', 'timestamp text', 'input placeholder'],
           fontParts: ['text', 'timestamp', 'input'],
           styleParts: ['text', 'input'],
-          styleMenu: ['default', 'javascript'],
+          styleMenu: ['default', 'javascript', 'json', 'python', 'lua', 'html', 'css', 'scratch', 'shell', 'ansi'],
+          syntaxTokenMenu: ['keyword', 'string', 'comment', 'number', 'built-in', 'property', 'tag', 'attribute', 'variable', 'operator', 'punctuation'],
           gradientModeMenu: ['normal', 'split'],
           sizeParts: ['text', 'timestamp', 'input'],
           alignmentParts: ['text', 'input'],
@@ -248,6 +599,8 @@
           wrappingParts: ['console', 'input'],
           wrappingMode: ['wrap', 'scroll'],
           scrollTargetMenu: ['console', 'input'],
+          searchModeMenu: ['plain', 'case-insensitive', 'regex'],
+          matchDirectionMenu: ['next', 'previous'],
           inputSourceMenu: ['current', 'last'],
           selectionPositionMenu: ['start', 'end'],
           positionMenu: ['top', 'bottom'],
@@ -256,6 +609,13 @@
       };
     }
 
+    _addConsoleArguments (blocks) {
+      return blocks.map(block => (!this._consoleBlocks.has(block.opcode) ? block : Object.assign({}, block, {
+        text: `${block.text} in console [CONSOLE]`,
+        arguments: Object.assign({}, block.arguments, { CONSOLE: { type: ArgumentType.STRING, defaultValue: '' } })
+      })));
+    }
+
     // ---- CSS ----
     _injectBaseCSS () {
       const style = document.createElement('style');
@@ -327,6 +687,8 @@
           vertical-align: top;
         }
         .console-spacing { width: 100%; display: block; } 
+        .console-line.console-line-filtered, .console-spacing.console-line-filtered { display: none !important; }
+        .console-level-badge { font-weight: bold; }
 
         /* INPUT STRUCTURE CSS */
         .console-input-wrapper {
@@ -377,12 +739,146 @@
         
         .console-input::placeholder { color: var(--console-input-placeholder-color, ${this._defaults.inputPlaceholderColorRaw}) !important; opacity: 1 !important; }
         
-        /* Syntax Highlighting Classes */
-        .console-syntax-keyword { color: #569cd6 !important; font-weight: bold; }
-        .console-syntax-string { color: #ce9178 !important; }
-        .console-syntax-comment { color: #6a9955 !important; font-style: italic; }
-        .console-syntax-number { color: #b5cea8 !important; }
-        .console-syntax-built-in { color: #4ec9b0 !important; }
+        /* Syntax Highlighting Classes (colors come from --console-syntax-* set by _applySyntaxTheme) */
+        ${this._syntaxTokens.map(t => `.console-syntax-${t} { color: var(--console-syntax-${t}, ${this._defaults.syntaxColors[t]}) !important; }`).join('\n        ')}
+        .console-syntax-keyword { font-weight: bold; }
+        .console-syntax-comment { font-style: italic; }
+
+        /* Tables and objects */
+        .console-table { display: inline-table; vertical-align: top; border-collapse: collapse; margin: 2px 0; }
+        .console-table th, .console-table td {
+          border: 1px solid rgba(255,255,255,0.2);
+          padding: 0 0.6em;
+          text-align: left;
+          vertical-align: top;
+          white-space: pre;
+        }
+        .console-table th { font-weight: bold; background: rgba(255,255,255,0.08); }
+        .console-tree { display: inline-block; vertical-align: top; }
+        .console-tree-row { display: block; white-space: pre; }
+        .console-tree-toggle { display: inline-block; width: 1.2em; font-size: 0.8em; cursor: pointer; user-select: none; }
+        .console-tree-toggle::before { content: '\\25B6'; }
+        .console-tree-toggle.open::before { content: '\\25BC'; }
+        .console-tree-toggle.leaf { cursor: default; }
+        .console-tree-toggle.leaf::before { content: ''; }
+        .console-group-header { cursor: pointer; }
+        .console-group-title { font-weight: bold; }
+
+        /* Live lines */
+        .console-progress {
+          display: inline-block;
+          vertical-align: middle;
+          width: 10em;
+          height: 0.7em;
+          margin-right: 0.5em;
+          border-radius: 0.35em;
+          background: rgba(255,255,255,0.15);
+          overflow: hidden;
+        }
+        .console-progress-fill { display: block; height: 100%; transition: width 0.15s linear; }
+        .console-spinner::before { content: attr(data-frame); display: inline-block; width: 1.2em; }
+
+        /* Typewriter: unrevealed characters keep their space so the line never reflows */
+        .console-unrevealed { visibility: hidden; }
+
+        /* CRT effects: layers cover the visible console area (see _applyCrtEffects) */
+        .console-crt-layer { position: absolute; left: 0; right: 0; top: 0; bottom: 0; z-index: 3; pointer-events: none; border-radius: inherit; }
+        .console-crt-scanlines {
+          background: repeating-linear-gradient(to bottom,
+            rgba(0,0,0,var(--console-crt-scanlines, 0)) 0px, rgba(0,0,0,var(--console-crt-scanlines, 0)) 1px,
+            transparent 1px, transparent 3px);
+        }
+        .console-crt-flicker { animation: console-crt-flicker 0.2s steps(1) infinite; }
+        @keyframes console-crt-flicker {
+          0% { opacity: 1; }
+          25% { opacity: calc(1 - var(--console-crt-flicker, 0)); }
+          50% { opacity: calc(1 - var(--console-crt-flicker, 0) * 0.4); }
+          75% { opacity: calc(1 - var(--console-crt-flicker, 0) * 0.7); }
+        }
+        .console-crt-cursor > .console-virtual-spacer:last-child { position: relative; }
+        .console-crt-cursor > .console-virtual-spacer:last-child::after {
+          content: '';
+          position: absolute;
+          top: 100%; left: 0;
+          width: calc(var(--console-crt-cursor-size, 14px) * 0.6);
+          height: var(--console-crt-cursor-size, 14px);
+          background: var(--console-crt-cursor-color, #FFFFFF);
+          opacity: var(--console-crt-cursor, 1);
+          animation: console-crt-blink 1s steps(1) infinite;
+        }
+        @keyframes console-crt-blink { 50% { visibility: hidden; } }
+        @media (prefers-reduced-motion: reduce) {
+          .console-crt-flicker, .console-crt-cursor > .console-virtual-spacer:last-child::after { animation: none; }
+        }
+
+        /* Markup */
+        .console-markup-code { font-family: monospace; background: rgba(255,255,255,0.12); border-radius: 3px; padding: 0 3px; }
+        .console-markup-link { text-decoration: underline; cursor: pointer; }
+        .console-markup-click { text-decoration: underline dotted; cursor: pointer; }
+        .console-button {
+          display: inline-block;
+          border: 1px solid currentColor;
+          border-radius: 3px;
+          padding: 0 6px;
+          cursor: pointer;
+          user-select: none;
+        }
+        .console-button:hover, .console-markup-click:hover { filter: brightness(1.3); }
+
+        /* Search */
+        .console-search-bar {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 4px 8px;
+          pointer-events: auto;
+          box-sizing: border-box;
+          flex: none;
+        }
+        .console-search-input {
+          flex: 1;
+          min-width: 0;
+          background: rgba(255,255,255,0.1);
+          border: 1px solid rgba(255,255,255,0.2);
+          border-radius: 3px;
+          color: inherit;
+          font: inherit;
+          padding: 2px 6px;
+          outline: none;
+        }
+        .console-search-count { opacity: 0.8; white-space: nowrap; }
+        .console-search-btn {
+          background: transparent;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font: inherit;
+          padding: 0 4px;
+        }
+        .console-search-hit { background: rgba(255,220,0,0.35); color: inherit; border-radius: 2px; padding: 0; }
+        .console-search-hit.current { background: rgba(255,140,0,0.7); }
+
+        /* Named console tabs */
+        .console-tabs {
+          display: flex;
+          flex: none;
+          overflow-x: auto;
+          pointer-events: auto;
+          box-sizing: border-box;
+          scrollbar-width: none;
+        }
+        .console-tab {
+          background: transparent;
+          border: none;
+          border-bottom: 2px solid transparent;
+          color: inherit;
+          cursor: pointer;
+          font: inherit;
+          opacity: 0.6;
+          padding: 4px 10px;
+          white-space: nowrap;
+        }
+        .console-tab.active { opacity: 1; border-bottom-color: currentColor; }
 
         .console-suggestions {
           position: absolute;
@@ -403,6 +899,11 @@
           opacity: 0.8;
           transition: background 0.1s;
         }
+        .console-history-search {
+          cursor: default;
+          font-style: italic;
+          opacity: 1.0;
+        }
         .console-suggestion-item.selected {
           opacity: 1.0;
           background: rgba(255,255,255,0.15);
@@ -447,8 +948,10 @@
       try {
         this._observer = new ResizeObserver(() => {
           if (this.inputField && typeof this.inputField.value === 'string') this._inputCache = this.inputField.value;
-          this._ensureUI();
-          this._resizeDynamicSizes();
+          this._forEachPane(() => {
+            this._ensureUI();
+            this._resizeDynamicSizes();
+          });
         });
         this._observer.observe(this.stage);
       } catch (e) {}
@@ -458,9 +961,11 @@
       if (this._recoveryInterval) clearInterval(this._recoveryInterval);
       this._recoveryInterval = setInterval(() => {
         if (this.inputField && typeof this.inputField.value === 'string') this._inputCache = this.inputField.value;
-        this._ensureUI();
-        this._resizeDynamicSizes();
-        if (Date.now() - (this._lastUserScroll || 0) > this._userScrollGrace) this._applyCachedScroll();
+        this._forEachPane(() => {
+          this._ensureUI();
+          this._resizeDynamicSizes();
+          if (Date.now() - (this._lastUserScroll || 0) > this._userScrollGrace) this._applyCachedScroll();
+        });
       }, 500);
     }
 
@@ -498,7 +1003,8 @@
     _resizeDynamicSizes () {
       // --- Apply Custom Geometry First ---
       if (this.consoleOverlay) {
-          const r = this.style.consoleRegion;
+          const r = this._getPaneRegion();
+          this.consoleOverlay.style.display = this._isPaneHiddenByLayout() ? 'none' : 'flex';
           this.consoleOverlay.style.left = `${r.x}%`;
           this.consoleOverlay.style.top = `${r.y}%`;
           this.consoleOverlay.style.width = `${r.w}%`;
@@ -521,10 +1027,10 @@
       const scale = stageH / 360;
       const base = 14;
 
+      this._computedScale = scale;
       this._computedTsPx = Math.max(0.1, base * scale * (this.style.sizeTimestamp || 1));
       this._computedInputPx = Math.max(0.1, base * scale * (this.style.sizeInput || 1));
       
-      const conSpacing = this.style.consoleLineSpacing || 1.0;
       const inpSpacing = this.style.inputLineSpacing || 1.5;
 
       if (this.logArea) {
@@ -535,26 +1041,15 @@
 
         for (const line of Array.from(this.logArea.children)) {
           if (line.classList.contains('console-spacing')) continue; 
-          
-          const lineMult = line.dataset.sizeMult ? Number(line.dataset.sizeMult) : (this.style.sizeText || 1);
-          const linePx = Math.max(0.1, base * scale * lineMult);
-
-          // STRICT CALCULATION: Font Size * Spacing
-          const dynamicLineHeight = linePx * conSpacing;
-          
-          line.style.lineHeight = `${dynamicLineHeight}px`;
-          line.style.fontSize = `${linePx}px`; 
-          
-          line.style.marginTop = '0px';
-          line.style.paddingBottom = '0px'; 
-          line.style.marginBottom = '0px';
+          this._applyLineMetrics(line);
+        }
 
-          const spans = line.querySelectorAll('span');
-          if (spans[0]) spans[0].style.fontSize = `${this._computedTsPx}px`;
-          
-          for (let i = 1; i < spans.length; i++) {
-             spans[i].style.fontSize = `${linePx}px`;
-          }
+        // Measured line heights only hold for the metrics they were measured with
+        const metricsKey = [scale, this.style.sizeText, this.style.sizeTimestamp, this.style.consoleLineSpacing,
+          this.style.consolePadding, this.logArea.clientWidth].join('|');
+        if (metricsKey !== this._virtual.metricsKey) {
+          this._virtual.metricsKey = metricsKey;
+          this._invalidateAllHeights();
         }
       }
 
@@ -584,10 +1079,12 @@
         this.suggestionBox.style.fontSize = `${this._computedInputPx}px`;
         this.suggestionBox.style.fontFamily = this.style.fontInput;
       }
+      this._applySearchBarStyle();
 
       if (this.consoleOverlay) {
           // Heuristic: Only apply auto-padding if console is full height and at origin.
-          const useAutoPadding = (this.style.consoleRegion.h >= 100 && this.style.consoleRegion.y === 0);
+          const region = this._getPaneRegion();
+          const useAutoPadding = (region.h >= 100 && region.y === 0);
 
           if (this.inputField && this.inputVisible && useAutoPadding) {
               const inputHt = this.inputWrapper ? this.inputWrapper.offsetHeight : (this._computedInputPx + 36);
@@ -602,6 +1099,32 @@
               this.consoleOverlay.style.paddingTop = '';
               this.consoleOverlay.style.paddingBottom = '';
           }
+          // The effect layers follow the padding, so they need the final geometry
+          this._applyCrtEffects();
+      }
+    }
+
+    _applyLineMetrics (line) {
+      const base = 14;
+      const scale = this._computedScale || 1;
+      const lineMult = line.dataset.sizeMult ? Number(line.dataset.sizeMult) : (this.style.sizeText || 1);
+      const linePx = Math.max(0.1, base * scale * lineMult);
+
+      // STRICT CALCULATION: Font Size * Spacing
+      const dynamicLineHeight = linePx * (this.style.consoleLineSpacing || 1.0);
+      
+      line.style.lineHeight = `${dynamicLineHeight}px`;
+      line.style.fontSize = `${linePx}px`; 
+      
+      line.style.marginTop = '0px';
+      line.style.paddingBottom = '0px'; 
+      line.style.marginBottom = '0px';
+
+      const spans = line.querySelectorAll('span');
+      if (spans[0]) spans[0].style.fontSize = `${this._computedTsPx}px`;
+      
+      for (let i = 1; i < spans.length; i++) {
+         spans[i].style.fontSize = `${linePx}px`;
       }
     }
 
@@ -638,7 +1161,8 @@
         if (this.consoleOverlay) {
              // Re-trigger dynamic resize to update console padding based on new height
              // But we need to avoid infinite loop. Just set the padding here if valid.
-             const useAutoPadding = (this.style.consoleRegion.h >= 100 && this.style.consoleRegion.y === 0);
+             const region = this._getPaneRegion();
+             const useAutoPadding = (region.h >= 100 && region.y === 0);
              if (this.inputVisible && useAutoPadding) {
                 if (this.style.inputPosition === 'top') {
                     this.consoleOverlay.style.paddingTop = `${clampedWrapperHeight}px`;
@@ -690,16 +1214,33 @@
       this._applyConsoleWrappingToContainer(logArea, this.style.consoleWrapping);
       this._updateBackgrounds('console', overlay, logArea);
 
-      logArea.addEventListener('scroll', () => {
+      logArea.addEventListener('scroll', this._paneHandler(() => {
         this._lastUserScroll = Date.now();
         try { this._scrollCache = this.logArea ? this.logArea.scrollTop : this._scrollCache; } catch (e) {}
-      }, { passive: true });
+        this._renderVirtualWindow();
+      }), { passive: true });
+
+      logArea.addEventListener('click', this._paneHandler((e) => this._handleLineClick(e)));
+
+      // Focusable so Ctrl+F reaches the overlay after clicking the log
+      logArea.tabIndex = -1;
+      logArea.style.outline = 'none';
+      overlay.addEventListener('keydown', this._paneHandler((e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+          e.preventDefault();
+          this._openSearchBar();
+        }
+      }));
 
       overlay.appendChild(logArea);
       try { this.stage.appendChild(overlay); } catch (e) { document.body.appendChild(overlay); }
 
       this.consoleOverlay = overlay;
       this.logArea = logArea;
+      this._applySyntaxTheme(overlay);
+      this.searchBar = null;
+      if (this._searchBarVisible) this._createSearchBar();
+      this._updateTabBar();
       if (this._timestampFormat === 'relative') this._setupObserverForRelative();
       this._resizeDynamicSizes();
     }
@@ -803,17 +1344,22 @@
 
       input.addEventListener('keydown', (e) => {
         updateSelection(); 
+        if (this._historySearch && this._handleHistorySearchKey(e)) return;
+        if (e.ctrlKey && !e.altKey && !e.metaKey && e.key.toLowerCase() === 'r') {
+            e.preventDefault();
+            this._startHistorySearch();
+            return;
+        }
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+            e.preventDefault();
+            this._openSearchBar();
+            return;
+        }
         if (e.key === 'Tab') {
           e.preventDefault();
           if (this._activeSuggestions.length > 0) {
             const idx = this._suggestionIndex >= 0 ? this._suggestionIndex : 0;
-            const chosen = this._activeSuggestions[idx];
-            input.value = chosen;
-            this._inputCache = chosen;
-            input.style.webkitTextFillColor = 'transparent';
-            this._updateInputSyntax();
-            this._hideSuggestions();
-            this._updateInputHeight(); 
+            this._applySuggestion(this._activeSuggestions[idx]);
           }
           return;
         }
@@ -821,6 +1367,9 @@
             if (this.suggestionBox.style.display === 'flex') {
                 e.preventDefault();
                 this._navigateSuggestions(1);
+            } else if (!input.value.slice(0, input.selectionStart).includes('\n') && this._recallHistory(-1)) {
+                // Only recall when the caret is on the first line, so multi-line input stays navigable
+                e.preventDefault();
             }
             return;
         }
@@ -828,6 +1377,8 @@
             if (this.suggestionBox.style.display === 'flex') {
                 e.preventDefault();
                 this._navigateSuggestions(-1);
+            } else if (!input.value.slice(input.selectionEnd).includes('\n') && this._recallHistory(1)) {
+                e.preventDefault();
             }
             return;
         }
@@ -859,15 +1410,10 @@
                 e.preventDefault();
                 e.stopPropagation();
                 if (this.suggestionBox.style.display === 'flex' && this._suggestionIndex !== -1) {
-                    const chosen = this._activeSuggestions[this._suggestionIndex];
-                    input.value = chosen;
-                    this._inputCache = chosen;
-                    input.style.webkitTextFillColor = 'transparent';
-                    this._updateInputSyntax();
-                    this._hideSuggestions();
-                    this._updateInputHeight(); 
+                    this._applySuggestion(this._activeSuggestions[this._suggestionIndex]);
                 } else {
                     const txt = input.value;
+                    this._pushHistory(txt);
                     input.value = '';
                     input.style.webkitTextFillColor = 'inherit';
                     this._inputCache = '';
@@ -883,6 +1429,8 @@
       input.addEventListener('input', () => { 
           this._inputCache = input.value; 
           updateSelection();
+          if (this._historySearch) this._endHistorySearch(true);
+          this._historyIndex = -1;
           
           if (input.value) {
               input.style.webkitTextFillColor = 'transparent';
@@ -898,6 +1446,7 @@
       input.addEventListener('blur', () => { 
         this._inputCache = input.value; 
         updateSelection();
+        if (this._historySearch) this._endHistorySearch(true);
         setTimeout(() => this._hideSuggestions(), 200);
       });
       
@@ -916,6 +1465,7 @@
       this.inputField = input;
       this.inputHighlight = highlight;
       this.inputWrapper = inputWrapper;
+      this._applySyntaxTheme(overlay);
 
       this._applyInputTextColor(this.style.inputTextRaw);
       
@@ -931,8 +1481,13 @@
         const text = this.inputField.value;
         this.inputHighlight.innerHTML = ''; 
 
-        if (this.style.textStyle === 'javascript') {
-            this._renderJavascriptSyntax(this.inputHighlight, text, this.style.fontInput);
+        if (this._hasInputRules()) {
+            this._renderInputRules(this.inputHighlight, text);
+            if (text.endsWith('\n')) {
+                this.inputHighlight.appendChild(document.createTextNode('\u200B'));
+            }
+        } else if (this._grammars.has(this.style.textStyle)) {
+            this._renderSyntax(this.inputHighlight, text, this.style.fontInput, this.style.textStyle);
             if (text.endsWith('\n')) {
                 this.inputHighlight.appendChild(document.createTextNode('\u200B'));
             }
@@ -946,30 +1501,274 @@
 
     // ---- Autofill Logic ----
     addCommand(args) { this._commandRegistry.add(String(args.TEXT)); }
-    removeCommand(args) { this._commandRegistry.delete(String(args.TEXT)); }
-    clearCommands() { this._commandRegistry.clear(); }
+    removeCommand(args) {
+        const name = String(args.TEXT);
+        this._commandRegistry.delete(name);
+        this._commandSchemas.delete(name.trim().toLowerCase());
+    }
+    clearCommands() {
+        this._commandRegistry.clear();
+        this._commandSchemas.clear();
+        this._argSuggestions.clear();
+    }
+
+    // ---- Command Parser ----
+    // Spec format: leading plain words form the command name, followed by
+    // <name:type> (required) and [name:type] (optional) arguments.
+    // Types: string, number, integer, boolean, text (rest of line), sprite,
+    // list:LISTNAME, or an enum written as a|b|c. Untyped arguments are strings.
+    defineCommand(args) {
+        const schema = this._parseCommandSpec(String(args.SPEC || ''));
+        if (!schema) return;
+        this._commandSchemas.set(schema.name.toLowerCase(), schema);
+        this._commandRegistry.add(schema.name);
+    }
+
+    _parseCommandSpec(spec) {
+        const parts = spec.trim().split(/\s+/).filter(Boolean);
+        const words = [];
+        const argDefs = [];
+        for (const part of parts) {
+            const m = part.match(/^([<\[])([^:>\]]+)(?::([^>\]]+))?[>\]]$/);
+            if (!m) {
+                if (argDefs.length) return null; // plain words are only allowed before arguments
+                words.push(part);
+                continue;
+            }
+            const type = (m[3] || 'string').trim();
+            const def = { name: m[2].trim(), type: type.toLowerCase(), optional: m[1] === '[' };
+            if (type.includes('|')) {
+                def.type = 'enum';
+                def.choices = type.split('|').map(s => s.trim()).filter(Boolean);
+            } else if (/^list:/i.test(type)) {
+                def.type = 'list';
+                def.listName = type.slice(5).trim();
+            }
+            argDefs.push(def);
+        }
+        if (!words.length) return null;
+        return { name: words.join(' '), words: words.map(w => w.toLowerCase()), args: argDefs, usage: parts.join(' ') };
+    }
+
+    // Splits a command line into tokens, honouring "double" and 'single' quotes
+    // with backslash escapes. Each token keeps its source range for autocomplete.
+    _tokenizeCommand(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            if (/\s/.test(text[i])) { i++; continue; }
+            const start = i;
+            let value = '';
+            let quoted = false;
+            let unterminated = false;
+            if (text[i] === '"' || text[i] === "'") {
+                const q = text[i++];
+                quoted = true;
+                unterminated = true;
+                while (i < text.length) {
+                    const ch = text[i];
+                    if (ch === '\\' && i + 1 < text.length) { value += text[i + 1]; i += 2; continue; }
+                    if (ch === q) { i++; unterminated = false; break; }
+                    value += ch;
+                    i++;
+                }
+            } else {
+                while (i < text.length && !/\s/.test(text[i])) value += text[i++];
+            }
+            tokens.push({ value, quoted, unterminated, start, end: i });
+        }
+        return tokens;
+    }
+
+    _looksNumeric(str) {
+        return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(String(str).trim());
+    }
+
+    // Generic token parsing shared by every place that reads typed input:
+    // quoted tokens stay strings, true/false become booleans, numerals become numbers.
+    _parseArgToken(token) {
+        if (typeof token === 'string') token = { value: token, quoted: false };
+        if (token.quoted) return token.value;
+        const lower = token.value.toLowerCase();
+        if (lower === 'true') return true;
+        if (lower === 'false') return false;
+        if (this._looksNumeric(token.value)) return Number(token.value);
+        return token.value;
+    }
+
+    // Returns { value } or { error } for a token checked against an argument definition.
+    _coerceArgValue(token, def) {
+        const parsed = this._parseArgToken(token);
+        switch (def.type) {
+            case 'number':
+            case 'integer':
+                if (typeof parsed !== 'number') return { error: 'expected a number' };
+                if (def.type === 'integer' && !Number.isInteger(parsed)) return { error: 'expected a whole number' };
+                return { value: parsed };
+            case 'boolean': {
+                if (typeof parsed === 'boolean') return { value: parsed };
+                const lower = token.value.toLowerCase();
+                if (['on', 'yes', '1'].includes(lower)) return { value: true };
+                if (['off', 'no', '0'].includes(lower)) return { value: false };
+                return { error: 'expected true or false' };
+            }
+            case 'enum': {
+                const choice = def.choices.find(c => c.toLowerCase() === token.value.toLowerCase());
+                if (choice === undefined) return { error: `expected one of ${def.choices.join(', ')}` };
+                return { value: choice };
+            }
+            case 'sprite': {
+                const sprite = this._getSpriteNames().find(n => n.toLowerCase() === token.value.toLowerCase());
+                if (sprite === undefined) return { error: `no sprite named "${token.value}"` };
+                return { value: sprite };
+            }
+            default:
+                return { value: token.value };
+        }
+    }
+
+    _getRuntime() {
+        if (Scratch && Scratch.vm && Scratch.vm.runtime) return Scratch.vm.runtime;
+        if (typeof vm !== 'undefined' && vm && vm.runtime) return vm.runtime;
+        return null;
+    }
+
+    _getSpriteNames() {
+        const runtime = this._getRuntime();
+        if (!runtime || !Array.isArray(runtime.targets)) return [];
+        return runtime.targets
+            .filter(t => t.isOriginal && !t.isStage && t.sprite)
+            .map(t => t.sprite.name);
+    }
+
+    // Finds the schema whose name matches the longest run of leading tokens.
+    _matchCommandSchema(tokens) {
+        let best = null;
+        for (const schema of this._commandSchemas.values()) {
+            if (schema.words.length > tokens.length) continue;
+            if (best && best.words.length >= schema.words.length) continue;
+            const matches = schema.words.every((w, i) => !tokens[i].quoted && tokens[i].value.toLowerCase() === w);
+            if (matches) best = schema;
+        }
+        return best;
+    }
+
+    // Returns null when no schema matches, otherwise { schema, args } or { schema, error }.
+    _parseCommand(text) {
+        const tokens = this._tokenizeCommand(text);
+        const schema = this._matchCommandSchema(tokens);
+        if (!schema) return null;
+
+        const rest = tokens.slice(schema.words.length);
+        const values = {};
+        let ti = 0;
+        for (const def of schema.args) {
+            if (def.type === 'text') {
+                values[def.name] = rest[ti] ? text.slice(rest[ti].start).trim() : '';
+                if (!values[def.name] && !def.optional) return { schema, error: `missing argument "${def.name}"` };
+                ti = rest.length;
+                continue;
+            }
+            const token = rest[ti];
+            if (!token) {
+                if (!def.optional) return { schema, error: `missing argument "${def.name}"` };
+                values[def.name] = '';
+                continue;
+            }
+            if (token.unterminated) return { schema, error: 'unterminated quote' };
+            const result = this._coerceArgValue(token, def);
+            if (result.error) return { schema, error: `invalid argument "${def.name}": ${result.error}` };
+            values[def.name] = result.value;
+            ti++;
+        }
+        if (ti < rest.length) return { schema, error: 'too many arguments' };
+        return { schema, args: values };
+    }
+
+    _handleCommand(text) {
+        const result = this._parseCommand(text.trim());
+        if (!result) return;
+        if (result.error) {
+            this._lastCommandError = `${result.error}. Usage: ${result.schema.usage}`;
+            if (this._logCommandErrors) this._log(this._lastCommandError, '#FF5555');
+            return;
+        }
+        this._lastCommandError = '';
+        this._lastCommand = { name: result.schema.name, args: result.args };
+        this._commandEventId++;
+        try {
+            if (typeof vm !== 'undefined' && vm && vm.runtime && typeof vm.runtime.startHats === 'function') {
+                vm.runtime.startHats(`${this.id}_whenCommand`);
+            }
+        } catch (e) {}
+    }
+
+    whenCommand(args, util) {
+        try {
+            const name = String(args.NAME || '').trim().toLowerCase();
+            if (!name || name !== this._lastCommand.name.toLowerCase()) return false;
+            const tid = util?.target?.id ?? 'global';
+            return this._consumeHatEvent(`whenCommand:${tid}:${name}`, this._commandEventId);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Edge-triggered hats are polled every frame; report each event id once per key.
+    _consumeHatEvent(key, eventId) {
+        if (!this._lastSeenEventIdByKey) this._lastSeenEventIdByKey = new Map();
+        const lastSeen = this._lastSeenEventIdByKey.get(key) || 0;
+        if ((eventId || 0) > lastSeen) {
+            this._lastSeenEventIdByKey.set(key, eventId);
+            return true;
+        }
+        return false;
+    }
+
+    getCommandArgument(args) {
+        const name = String(args.NAME || '');
+        const values = this._lastCommand.args;
+        if (Object.prototype.hasOwnProperty.call(values, name)) return values[name];
+        const key = Object.keys(values).find(k => k.toLowerCase() === name.toLowerCase());
+        return key !== undefined ? values[key] : '';
+    }
+
+    getCommandName() { return this._lastCommand.name; }
+    getCommandError() { return this._lastCommandError; }
+
+    getCommandUsage(args) {
+        const schema = this._commandSchemas.get(String(args.NAME || '').trim().toLowerCase());
+        return schema ? schema.usage : '';
+    }
+
+    setLogCommandErrors(args) {
+        this._logCommandErrors = !!args.ENABLED;
+    }
 
     _updateSuggestions(text) {
-        if (!this.suggestionBox || this._commandRegistry.size === 0 || !text.trim()) {
+        if (!this.suggestionBox || (this._commandRegistry.size === 0 && this._commandSchemas.size === 0) || !text.trim()) {
             this._hideSuggestions();
             return;
         }
-        const lines = text.split('\n');
-        const currentLine = lines[lines.length - 1].trim();
-        
-        if (!currentLine) {
+        const cursor = (this.inputField && typeof this.inputField.selectionEnd === 'number') ? this.inputField.selectionEnd : text.length;
+        const lineStart = text.lastIndexOf('\n', cursor - 1) + 1;
+        let lineEnd = text.indexOf('\n', cursor);
+        if (lineEnd === -1) lineEnd = text.length;
+        const currentLine = text.slice(lineStart, lineEnd);
+
+        if (!currentLine.trim()) {
              this._hideSuggestions();
              return;
         }
 
-        this._activeSuggestions = Array.from(this._commandRegistry)
-            .filter(cmd => cmd.toLowerCase().includes(currentLine.toLowerCase()))
-            .sort();
-
-        if (this._activeSuggestions.length === 0) {
+        const result = this._computeSuggestions(currentLine, cursor - lineStart);
+        if (!result || result.items.length === 0) {
             this._hideSuggestions();
             return;
         }
+        this._activeSuggestions = result.items;
+        this._suggestionRange = { start: lineStart + result.start, end: lineStart + result.end };
+
         this.suggestionBox.innerHTML = '';
         this.suggestionBox.style.display = 'flex';
         this._suggestionIndex = -1;
@@ -981,21 +1780,142 @@
             div.onmousedown = (e) => {
                 e.preventDefault();
                 if (this.inputField) {
-                    this.inputField.value = cmd;
-                    this._inputCache = cmd;
-                    this.inputField.style.webkitTextFillColor = 'transparent';
                     this.inputField.focus();
-                    this._updateInputSyntax();
-                    this._hideSuggestions();
-                    this._updateInputHeight();
+                    this._applySuggestion(cmd);
                 }
             };
             this.suggestionBox.appendChild(div);
         });
-        
+
         this._applyBackgroundStyle(this.suggestionBox, this.style.inputBG);
     }
 
+    // Works out what to suggest for the token under the cursor. Returns the
+    // candidate strings plus the range (within the line) they replace.
+    _computeSuggestions(line, col) {
+        const tokens = this._tokenizeCommand(line);
+        const ci = tokens.findIndex(t => col >= t.start && col <= t.end);
+        const current = ci !== -1 ? tokens[ci] : { value: '', quoted: false, start: col, end: col };
+        const before = ci !== -1 ? tokens.slice(0, ci) : tokens.filter(t => t.end < col);
+        const prefix = current.quoted ? current.value : line.slice(current.start, col);
+
+        if (before.length > 0) {
+            const items = [];
+            // Subcommands: schemas whose name continues the words typed so far
+            for (const schema of this._commandSchemas.values()) {
+                if (schema.words.length <= before.length) continue;
+                const prefixMatches = before.every((t, i) => !t.quoted && t.value.toLowerCase() === schema.words[i]);
+                if (!prefixMatches) continue;
+                const word = schema.name.split(/\s+/)[before.length];
+                if (word.toLowerCase().startsWith(prefix.toLowerCase()) && !items.includes(word)) items.push(word);
+            }
+            // Argument values for the command already typed
+            const schema = this._matchCommandSchema(before);
+            if (schema) {
+                const def = this._getArgDefAt(schema, before.length - schema.words.length);
+                if (def) {
+                    for (const value of this._getArgSuggestions(schema, def, prefix)) {
+                        const quoted = this._quoteArgValue(value);
+                        if (!items.includes(quoted)) items.push(quoted);
+                    }
+                }
+            }
+            if (items.length) return { items, start: current.start, end: current.end };
+        }
+
+        // Fall back to matching whole registry entries against the line so far
+        const lineOffset = line.length - line.trimStart().length;
+        const query = line.slice(lineOffset, Math.max(col, current.end)).trim().toLowerCase();
+        if (!query) return null;
+        const items = Array.from(this._commandRegistry)
+            .filter(cmd => cmd.toLowerCase().includes(query))
+            .sort();
+        return { items, start: lineOffset, end: Math.max(col, current.end) };
+    }
+
+    _getArgDefAt(schema, argIndex) {
+        for (let i = 0; i < schema.args.length; i++) {
+            // A trailing text argument swallows every remaining token
+            if (schema.args[i].type === 'text' || i === argIndex) return schema.args[i];
+        }
+        return null;
+    }
+
+    _getArgSuggestions(schema, def, prefix) {
+        let values = [];
+        const provided = this._argSuggestions.get(`${schema.name.toLowerCase()} ${def.name.toLowerCase()}`);
+        if (provided) values = values.concat(provided);
+        if (def.type === 'enum') values = values.concat(def.choices);
+        else if (def.type === 'boolean') values = values.concat(['true', 'false']);
+        else if (def.type === 'sprite') values = values.concat(this._getSpriteNames());
+        else if (def.type === 'list') values = values.concat(this._getListItems(def.listName));
+
+        const p = String(prefix).toLowerCase();
+        const unique = Array.from(new Set(values.map(v => String(v))));
+        const starts = unique.filter(v => v.toLowerCase().startsWith(p));
+        const contains = unique.filter(v => !v.toLowerCase().startsWith(p) && v.toLowerCase().includes(p));
+        return starts.concat(contains);
+    }
+
+    _quoteArgValue(value) {
+        const str = String(value);
+        if (str && !/[\s"'\\]/.test(str)) return str;
+        return `"${str.replace(/(["\\])/g, '\\$1')}"`;
+    }
+
+    // Looks a variable up on the editing target, then the stage, then every other sprite.
+    _findVariable(name, type = '') {
+        const runtime = this._getRuntime();
+        if (!runtime) return null;
+        const targets = [];
+        const editing = typeof runtime.getEditingTarget === 'function' ? runtime.getEditingTarget() : null;
+        const stage = typeof runtime.getTargetForStage === 'function' ? runtime.getTargetForStage() : null;
+        if (editing) targets.push(editing);
+        if (stage && !targets.includes(stage)) targets.push(stage);
+        for (const t of runtime.targets || []) if (t.isOriginal && !targets.includes(t)) targets.push(t);
+        for (const t of targets) {
+            for (const v of Object.values(t.variables || {})) {
+                if (v.name === name && v.type === type) return v;
+            }
+        }
+        return null;
+    }
+
+    _getListItems(listName) {
+        const list = this._findVariable(listName, 'list');
+        return list && Array.isArray(list.value) ? list.value.map(v => String(v)) : [];
+    }
+
+    setArgumentSuggestions(args) {
+        const key = `${String(args.COMMAND || '').trim().toLowerCase()} ${String(args.ARG || '').trim().toLowerCase()}`;
+        const raw = String(args.VALUES ?? '').trim();
+        let values;
+        try {
+            const parsed = JSON.parse(raw);
+            values = Array.isArray(parsed) ? parsed : [parsed];
+        } catch (e) {
+            values = raw.split(',').map(s => s.trim());
+        }
+        values = values.map(v => String(v)).filter(Boolean);
+        if (values.length) this._argSuggestions.set(key, values);
+        else this._argSuggestions.delete(key);
+    }
+
+    _applySuggestion(chosen) {
+        const input = this.inputField;
+        if (!input) return;
+        const range = this._suggestionRange || { start: 0, end: input.value.length };
+        const value = input.value.slice(0, range.start) + chosen + input.value.slice(range.end);
+        const caret = range.start + chosen.length;
+        input.value = value;
+        this._inputCache = value;
+        input.style.webkitTextFillColor = value ? 'transparent' : 'inherit';
+        try { input.setSelectionRange(caret, caret); } catch (e) {}
+        this._updateInputSyntax();
+        this._hideSuggestions();
+        this._updateInputHeight();
+    }
+
     _navigateSuggestions(dir) {
         if (!this._activeSuggestions.length) return;
         const count = this._activeSuggestions.length;
@@ -1021,83 +1941,390 @@
         }
         this._activeSuggestions = [];
         this._suggestionIndex = -1;
+        this._suggestionRange = null;
     }
 
-    // ---- Color Parsers ----
-    gradientReporter (args) {
-      const c1 = String(args.COLOR1 || '').trim();
-      const c2 = String(args.COLOR2 || '').trim();
-      const angle = Number(args.ANGLE || 180) || 180;
-      return `${c1},${c2},${angle}`;
+    // ---- Input History ----
+    _pushHistory(text) {
+        const txt = String(text ?? '');
+        this._historyIndex = -1;
+        this._historyDraft = '';
+        if (!txt.trim() || this._historyLimit <= 0) return;
+        if (this._historyDedupe) this._history = this._history.filter(h => h !== txt);
+        this._history.push(txt);
+        this._trimHistory();
     }
-    gradient3Reporter (args) { return `${String(args.COLOR1)},${String(args.COLOR2)},${String(args.COLOR3)},${args.ANGLE||180}`; }
-    gradient4Reporter (args) { return `${String(args.COLOR1)},${String(args.COLOR2)},${String(args.COLOR3)},${String(args.COLOR4)},${args.ANGLE||180}`; }
 
-    _parseColorArg (colorArg) {
-      const raw = String(colorArg || '').trim();
-      if (!raw) return { isGradient: false, color: '#FFFFFF', gradientCSS: '', colors: [] };
-      if (/^linear-gradient\(/i.test(raw)) {
-        const firstMatch = raw.match(/rgba?\([^\)]+\)|#[0-9A-Fa-f]+|[a-zA-Z\-]+/);
-        return { isGradient: true, color: firstMatch ? firstMatch[0] : '#FFFFFF', gradientCSS: raw, colors: [], angle: 180 };
-      }
-      const parts = raw.split(',').map(s => s.trim()).filter(Boolean);
-      if (parts.length <= 1) return { isGradient: false, color: parts[0] || '#FFFFFF', gradientCSS: '', colors: [parts[0] || '#FFFFFF'] };
-      let angle = 180;
-      let colors = parts.slice(0);
-      const last = parts[parts.length - 1];
-      if (/^-?\d+(\.\d+)?$/.test(last)) { angle = Number(last); colors = parts.slice(0, -1); }
-      const gradientCSS = `linear-gradient(${angle}deg, ${colors.join(', ')})`;
-      return { isGradient: true, color: colors[0] || '#FFFFFF', gradientCSS, colors, angle };
+    _trimHistory() {
+        const limit = Math.max(0, this._historyLimit);
+        if (this._history.length > limit) this._history.splice(0, this._history.length - limit);
     }
 
-    _firstColorFromRaw (raw) { try { return this._parseColorArg(raw).color || '#FFFFFF'; } catch (e) { return '#FFFFFF'; } }
-
-    _updateBackgrounds (part, container, scroller) {
-        if (!container) return;
-        
-        let color;
-        
-        if (part === 'console') {
-            color = this.style.consoleBG;
+    // dir -1 walks towards older entries, +1 back towards the draft. Returns true if handled.
+    _recallHistory(dir) {
+        if (!this.inputField || !this._history.length) return false;
+        let next;
+        if (this._historyIndex === -1) {
+            if (dir > 0) return false;
+            this._historyDraft = this.inputField.value;
+            next = this._history.length - 1;
         } else {
-            color = this.style.inputBG;
+            next = this._historyIndex + dir;
+            if (next < 0) return true;
         }
-        
-        container.style.background = 'transparent';
-        if (scroller) scroller.style.background = 'transparent';
-        
-        if (part === 'console' && scroller) {
-            container.style.background = 'transparent';
-            this._applyBackgroundStyle(scroller, color);
-        } else if (part === 'input') {
-            this._applyBackgroundStyle(container, color);
-            if (scroller) {
-                this._applyBackgroundStyle(scroller, color);
-            }
+        if (next >= this._history.length) {
+            this._historyIndex = -1;
+            this._setInputFromHistory(this._historyDraft);
         } else {
-            this._applyBackgroundStyle(container, color);
+            this._historyIndex = next;
+            this._setInputFromHistory(this._history[next]);
         }
+        return true;
     }
 
-    _applyBackgroundStyle (el, colorRaw) {
-      if (!el) return;
-      const parsed = this._parseColorArg(colorRaw);
-      const bgCSS = parsed.isGradient ? parsed.gradientCSS : (parsed.color || 'transparent');
-      
-      if (parsed.isGradient) {
-          el.style.background = bgCSS;
-      } else {
-          el.style.background = 'none';
-          el.style.backgroundColor = bgCSS;
-      }
+    _setInputFromHistory(value) {
+        this.setInputText({ DATA: value });
+        if (this.inputField) {
+            const end = this.inputField.value.length;
+            try { this.inputField.setSelectionRange(end, end); } catch (e) {}
+        }
     }
 
-    _applyInputTextColor (rawColor) {
-      if (!this.inputField) return;
-      
-      if (this.style.textStyle === 'javascript') {
-          this.inputField.style.caretColor = '#FFFFFF'; 
-          
+    _startHistorySearch() {
+        if (!this.inputField) return;
+        this._hideSuggestions();
+        this._historySearch = { query: '', index: this._history.length, draft: this.inputField.value, failed: false };
+        this._renderHistorySearch();
+    }
+
+    // Finds the newest entry at or before fromIndex that contains the query.
+    _stepHistorySearch(fromIndex) {
+        const search = this._historySearch;
+        if (!search) return;
+        const q = search.query.toLowerCase();
+        let found = -1;
+        if (q) {
+            for (let i = Math.min(fromIndex, this._history.length - 1); i >= 0; i--) {
+                if (this._history[i].toLowerCase().includes(q)) { found = i; break; }
+            }
+        }
+        search.failed = !!q && found === -1;
+        if (found !== -1) {
+            search.index = found;
+            this._setInputFromHistory(this._history[found]);
+        }
+        this._renderHistorySearch();
+    }
+
+    _renderHistorySearch() {
+        const search = this._historySearch;
+        if (!search || !this.suggestionBox) return;
+        this.suggestionBox.innerHTML = '';
+        this.suggestionBox.style.display = 'flex';
+        const div = document.createElement('div');
+        div.className = 'console-suggestion-item console-history-search';
+        const match = search.index < this._history.length ? this._history[search.index] : '';
+        div.textContent = `(${search.failed ? 'failed ' : ''}reverse-i-search)\`${search.query}': ${match}`;
+        this.suggestionBox.appendChild(div);
+        this._applyBackgroundStyle(this.suggestionBox, this.style.inputBG);
+    }
+
+    _endHistorySearch(accept) {
+        const search = this._historySearch;
+        if (!search) return;
+        this._historySearch = null;
+        if (!accept) this._setInputFromHistory(search.draft);
+        this._hideSuggestions();
+    }
+
+    // Keys typed during Ctrl+R edit the query; returns true when the key was consumed.
+    _handleHistorySearchKey(e) {
+        const search = this._historySearch;
+        if (e.ctrlKey && !e.altKey && !e.metaKey && e.key.toLowerCase() === 'r') {
+            e.preventDefault();
+            this._stepHistorySearch(search.index - 1);
+            return true;
+        }
+        if (e.key === 'Escape' || (e.ctrlKey && e.key.toLowerCase() === 'g')) {
+            e.preventDefault();
+            this._endHistorySearch(false);
+            return true;
+        }
+        if (e.key === 'Backspace') {
+            e.preventDefault();
+            search.query = search.query.slice(0, -1);
+            this._stepHistorySearch(this._history.length - 1);
+            return true;
+        }
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            search.query += e.key;
+            this._stepHistorySearch(search.index);
+            return true;
+        }
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return true;
+        // Anything else (Enter, arrows, Tab...) accepts the match and then acts as usual
+        this._endHistorySearch(true);
+        return false;
+    }
+
+    getHistory() { return JSON.stringify(this._history); }
+
+    getHistoryItem(args) {
+        const n = Math.floor(Number(args.INDEX) || 0);
+        if (n < 1 || n > this._history.length) return '';
+        return this._history[this._history.length - n];
+    }
+
+    getHistoryLength() { return this._history.length; }
+
+    clearHistory() {
+        this._history = [];
+        this._historyIndex = -1;
+    }
+
+    loadHistory(args) {
+        try {
+            const arr = JSON.parse(String(args.JSON || '[]'));
+            if (!Array.isArray(arr)) return;
+            this._history = [];
+            for (const item of arr) this._pushHistory(String(item ?? ''));
+        } catch (e) {}
+    }
+
+    setHistoryLimit(args) {
+        this._historyLimit = Math.max(0, Math.floor(Number(args.LIMIT) || 0));
+        this._trimHistory();
+    }
+
+    setHistoryDedupe(args) {
+        this._historyDedupe = !!args.ENABLED;
+        if (this._historyDedupe) {
+            // Keep the newest copy of each entry
+            const seen = new Set();
+            this._history = this._history.reverse().filter(h => (seen.has(h) ? false : seen.add(h))).reverse();
+        }
+    }
+
+    // ---- Input Highlight Rules ----
+    // Rules only recolor text (never change its width) so the overlay stays aligned with the caret.
+    _hasInputRules() {
+        if (this._inputRules.length) return true;
+        return this._markInvalidInput && (this._commandSchemas.size > 0 || this._commandRegistry.size > 0);
+    }
+
+    // Accepts "pattern" or "/pattern/flags".
+    _compileRuleRegex(source) {
+        const raw = String(source || '');
+        const literal = raw.match(/^\/(.+)\/([a-z]*)$/);
+        const body = literal ? literal[1] : raw;
+        const flags = (literal ? literal[2] : '').replace(/[gy]/g, '');
+        if (!body) return null;
+        try { return new RegExp(body, flags + 'g'); } catch (e) { return null; }
+    }
+
+    _addInputRule(rule) {
+        if (!rule.regex) return;
+        // Re-adding a pattern replaces its color instead of stacking a duplicate
+        this._inputRules = this._inputRules.filter(r => !(r.kind === rule.kind && r.pattern === rule.pattern));
+        this._inputRules.push(rule);
+        this._updateInputSyntax();
+    }
+
+    addInputKeywordRule(args) {
+        const word = String(args.WORD || '').trim();
+        if (!word) return;
+        const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        // Keywords match whole whitespace-separated tokens, case-insensitively; the leading
+        // whitespace is captured (no lookbehind) and skipped when painting
+        this._addInputRule({ kind: 'keyword', pattern: word, regex: new RegExp(`(^|\\s)${escaped}(?!\\S)`, 'gi'), color: String(args.COLOR || '#FFFFFF'), lead: true });
+    }
+
+    addInputRegexRule(args) {
+        const pattern = String(args.REGEX || '');
+        this._addInputRule({ kind: 'regex', pattern, regex: this._compileRuleRegex(pattern), color: String(args.COLOR || '#FFFFFF') });
+    }
+
+    clearInputRules() {
+        this._inputRules = [];
+        this._updateInputSyntax();
+    }
+
+    setMarkInvalidInput(args) {
+        this._markInvalidInput = !!args.ENABLED;
+        this._updateInputSyntax();
+    }
+
+    setInvalidInputColor(args) {
+        this.style.inputInvalidColorRaw = String(args.COLOR || this._defaults.inputInvalidColorRaw).trim();
+        this._updateInputSyntax();
+    }
+
+    // Where a rule match starts, past the whitespace a `lead` rule captures before it
+    _ruleMatchStart(rule, m) {
+        return m.index + (rule.lead ? (m[1] || '').length : 0);
+    }
+
+    _ruleMatchesWhole(rule, value) {
+        rule.regex.lastIndex = 0;
+        let m;
+        while ((m = rule.regex.exec(value)) !== null) {
+            if (this._ruleMatchStart(rule, m) === 0 && m.index + m[0].length === value.length) return true;
+            if (!m[0].length) rule.regex.lastIndex++;
+        }
+        return false;
+    }
+
+    // Ranges the rules say are wrong: sigil tokens ("/kik", "#chanel") that no keyword, command
+    // or rule accepts, and arguments that fail the matched command schema.
+    _findInvalidInputRanges(text) {
+        const ranges = [];
+        const tokens = this._tokenizeCommand(text);
+        const known = new Set();
+        for (const schema of this._commandSchemas.values()) known.add(schema.words[0]);
+        for (const cmd of this._commandRegistry) known.add(String(cmd).trim().split(/\s+/)[0].toLowerCase());
+        for (const rule of this._inputRules) if (rule.kind === 'keyword') known.add(rule.pattern.toLowerCase());
+        const sigils = new Set(Array.from(known).map(w => w[0]).filter(ch => ch && /[^\w\s]/.test(ch)));
+
+        for (const token of tokens) {
+            if (token.quoted || !sigils.has(token.value[0])) continue;
+            if (known.has(token.value.toLowerCase())) continue;
+            if (this._inputRules.some(rule => this._ruleMatchesWhole(rule, token.value))) continue;
+            ranges.push({ start: token.start, end: token.end });
+        }
+
+        const schema = this._matchCommandSchema(tokens);
+        if (schema) {
+            const rest = tokens.slice(schema.words.length);
+            let ti = 0;
+            for (const def of schema.args) {
+                if (def.type === 'text') { ti = rest.length; break; }
+                const token = rest[ti];
+                if (!token) break;
+                if (token.unterminated || this._coerceArgValue(token, def).error) ranges.push({ start: token.start, end: token.end });
+                ti++;
+            }
+            for (; ti < rest.length; ti++) ranges.push({ start: rest[ti].start, end: rest[ti].end });
+        }
+        return ranges;
+    }
+
+    _renderInputRules(container, text) {
+        container.style.fontFamily = this.style.fontInput;
+        // owner[i] is the color that paints character i; later writes win, so paint lowest priority first
+        const owner = new Array(text.length).fill(null);
+        const paint = (start, end, color) => { for (let i = start; i < end; i++) owner[i] = color; };
+
+        for (const rule of this._inputRules.slice().reverse()) {
+            rule.regex.lastIndex = 0;
+            let m;
+            while ((m = rule.regex.exec(text)) !== null) {
+                if (!m[0].length) { rule.regex.lastIndex++; continue; }
+                paint(this._ruleMatchStart(rule, m), m.index + m[0].length, rule.color);
+            }
+        }
+        if (this._markInvalidInput) {
+            for (const r of this._findInvalidInputRanges(text)) paint(r.start, r.end, this.style.inputInvalidColorRaw);
+        }
+
+        const grammar = this._grammars.has(this.style.textStyle) ? this.style.textStyle : null;
+        let html = '';
+        let i = 0;
+        while (i < text.length) {
+            const color = owner[i];
+            let j = i + 1;
+            while (j < text.length && owner[j] === color) j++;
+            const part = text.slice(i, j);
+            if (color) {
+                html += `<span style="${this._escapeHTML(this._inlineColorCSS(color).join(';'))}">${this._escapeHTML(part)}</span>`;
+            } else if (grammar) {
+                for (const run of this._tokenizeSyntax(part, grammar)) {
+                    const val = this._escapeHTML(run.text);
+                    html += run.token ? `<span class="console-syntax-${run.token}">${val}</span>` : val;
+                }
+            } else {
+                html += this._escapeHTML(part);
+            }
+            i = j;
+        }
+        container.innerHTML = html;
+    }
+
+    // ---- Color Parsers ----
+    gradientReporter (args) {
+      const c1 = String(args.COLOR1 || '').trim();
+      const c2 = String(args.COLOR2 || '').trim();
+      const angle = Number(args.ANGLE || 180) || 180;
+      return `${c1},${c2},${angle}`;
+    }
+    gradient3Reporter (args) { return `${String(args.COLOR1)},${String(args.COLOR2)},${String(args.COLOR3)},${args.ANGLE||180}`; }
+    gradient4Reporter (args) { return `${String(args.COLOR1)},${String(args.COLOR2)},${String(args.COLOR3)},${String(args.COLOR4)},${args.ANGLE||180}`; }
+
+    _parseColorArg (colorArg) {
+      const raw = String(colorArg || '').trim();
+      if (!raw) return { isGradient: false, color: '#FFFFFF', gradientCSS: '', colors: [] };
+      if (/^linear-gradient\(/i.test(raw)) {
+        const firstMatch = raw.match(/rgba?\([^\)]+\)|#[0-9A-Fa-f]+|[a-zA-Z\-]+/);
+        return { isGradient: true, color: firstMatch ? firstMatch[0] : '#FFFFFF', gradientCSS: raw, colors: [], angle: 180 };
+      }
+      const parts = raw.split(',').map(s => s.trim()).filter(Boolean);
+      if (parts.length <= 1) return { isGradient: false, color: parts[0] || '#FFFFFF', gradientCSS: '', colors: [parts[0] || '#FFFFFF'] };
+      let angle = 180;
+      let colors = parts.slice(0);
+      const last = parts[parts.length - 1];
+      if (/^-?\d+(\.\d+)?$/.test(last)) { angle = Number(last); colors = parts.slice(0, -1); }
+      const gradientCSS = `linear-gradient(${angle}deg, ${colors.join(', ')})`;
+      return { isGradient: true, color: colors[0] || '#FFFFFF', gradientCSS, colors, angle };
+    }
+
+    _firstColorFromRaw (raw) { try { return this._parseColorArg(raw).color || '#FFFFFF'; } catch (e) { return '#FFFFFF'; } }
+
+    _updateBackgrounds (part, container, scroller) {
+        if (!container) return;
+        
+        let color;
+        
+        if (part === 'console') {
+            color = this.style.consoleBG;
+        } else {
+            color = this.style.inputBG;
+        }
+        
+        container.style.background = 'transparent';
+        if (scroller) scroller.style.background = 'transparent';
+        
+        if (part === 'console' && scroller) {
+            container.style.background = 'transparent';
+            this._applyBackgroundStyle(scroller, color);
+        } else if (part === 'input') {
+            this._applyBackgroundStyle(container, color);
+            if (scroller) {
+                this._applyBackgroundStyle(scroller, color);
+            }
+        } else {
+            this._applyBackgroundStyle(container, color);
+        }
+    }
+
+    _applyBackgroundStyle (el, colorRaw) {
+      if (!el) return;
+      const parsed = this._parseColorArg(colorRaw);
+      const bgCSS = parsed.isGradient ? parsed.gradientCSS : (parsed.color || 'transparent');
+      
+      if (parsed.isGradient) {
+          el.style.background = bgCSS;
+      } else {
+          el.style.background = 'none';
+          el.style.backgroundColor = bgCSS;
+      }
+    }
+
+    _applyInputTextColor (rawColor) {
+      if (!this.inputField) return;
+      
+      if (this._grammars.has(this.style.textStyle)) {
+          this.inputField.style.caretColor = '#FFFFFF'; 
+          
           if (this.inputHighlight) {
              this.inputHighlight.style.color = '#FFFFFF'; 
              this.inputHighlight.style.background = 'none'; 
@@ -1155,11 +2382,14 @@
         spacer.className = 'console-spacing';
         spacer.style.marginTop = `${Math.max(0, Number(entry.spacingHeight) || 0)}px`;
         spacer.dataset.id = String(entry.id);
+        if (this._isEntryHidden(entry)) spacer.classList.add('console-line-filtered');
         return spacer;
       }
 
       const container = document.createElement('div');
       container.className = 'console-line';
+      if (entry.type === 'group') container.classList.add('console-group-header');
+      if (entry.groups && entry.groups.length) container.style.paddingLeft = `${entry.groups.length * 1.2}em`;
       // Initial spacing, will be overridden by dynamic resize for accuracy
       const currentSpacing = this.style.consoleLineSpacing || 1.0;
       container.style.lineHeight = String(currentSpacing);
@@ -1183,6 +2413,16 @@
       tsSpan.textContent = formatted ? `[${formatted}] ` : '';
       container.appendChild(tsSpan);
 
+      if (entry.level && this.style.levelBadges[entry.level]) {
+        const badge = document.createElement('span');
+        badge.className = 'console-level-badge';
+        badge.textContent = `[${this.style.levelBadges[entry.level]}] `;
+        badge.style.fontFamily = this.style.fontText;
+        this._applyInlineTextColor(badge, this.style.levelColors[entry.level]);
+        container.appendChild(badge);
+      }
+      if (this._isEntryHidden(entry)) container.classList.add('console-line-filtered');
+
       if (entry.type === 'image') {
         const img = document.createElement('img');
         img.className = 'console-img';
@@ -1211,11 +2451,13 @@
         img.style.borderRadius = `${Math.max(0, roundness)}px`;
         img.style.display = 'block'; 
 
-        img.onload = () => {
+        img.onload = this._paneHandler(() => {
+          // The real image size replaces the estimated line height
+          this._renderVirtualWindow();
           if (this._autoScrollEnabled && this.logArea) {
             this._instantScrollToBottom();
           }
-        };
+        });
 
         container.appendChild(img);
       } else {
@@ -1224,76 +2466,199 @@
         const msgSpan = document.createElement('span');
         container.appendChild(msgSpan);
 
-        if (this.style.textStyle === 'javascript') {
-            // Javascript syntax renderer needs to target the wrapper, not the container
+        if (entry.type === 'table' || entry.type === 'object') {
+            this._renderStructured(msgSpan, entry);
+        } else if (entry.type === 'group') {
+            this._renderGroupHeader(msgSpan, entry);
+        } else if (entry.type === 'dots' || entry.type === 'spinner' || entry.type === 'progress') {
+            this._renderLiveLine(msgSpan, entry);
+        } else if (entry.buttonId !== undefined) {
+            msgSpan.className = 'console-button';
+            msgSpan.dataset.clickId = String(entry.buttonId);
+            msgSpan.textContent = entry.text;
+            msgSpan.style.fontFamily = this.style.fontText;
+            this._applyInlineTextColor(msgSpan, this._entryColor(entry));
+        } else if (entry.markup) {
+            // Markup carries its own styling, so it ignores the text style and split gradients
+            this._renderMarkup(msgSpan, entry.text, this.style.fontText);
+            msgSpan.style.display = 'inline';
+            this._applyInlineTextColor(msgSpan, this._entryColor(entry));
+        } else if (this._grammars.has(this.style.textStyle)) {
+            // Syntax renderer needs to target the wrapper, not the container
             // This prevents wiping the timestamp span.
-            this._renderJavascriptSyntax(msgSpan, entry.text, this.style.fontText);
+            this._renderSyntax(msgSpan, entry.text, this.style.fontText, this.style.textStyle);
+        } else if (this.style.textStyle === 'ansi') {
+            msgSpan.style.display = 'inline';
+            this._applyInlineTextColor(msgSpan, this._entryColor(entry));
+            this._renderAnsi(msgSpan, entry.text, this.style.fontText, this._entryColor(entry));
         } else {
             if (this.style.gradientMode === 'split') {
-                const parsed = this._parseColorArg(entry.colorRaw || '#FFFFFF');
+                const parsed = this._parseColorArg(this._entryColor(entry));
                 if (parsed.isGradient) {
                     this._renderSplitGradient(msgSpan, entry.text, parsed, this.style.fontText);
                 } else {
                     msgSpan.textContent = entry.text;
                     msgSpan.style.fontFamily = this.style.fontText; 
                     msgSpan.style.display = 'inline';
-                    this._applyInlineTextColor(msgSpan, entry.colorRaw || '#FFFFFF');
+                    this._applyInlineTextColor(msgSpan, this._entryColor(entry));
                 }
             } else {
                 msgSpan.textContent = entry.text;
                 msgSpan.style.fontFamily = this.style.fontText; 
                 msgSpan.style.display = 'inline';
-                this._applyInlineTextColor(msgSpan, entry.colorRaw || '#FFFFFF');
+                this._applyInlineTextColor(msgSpan, this._entryColor(entry));
             }
         }
       }
 
       this._applyLineStyle(container, entry);
+      this._applySearchHighlight(container, entry);
+      if (entry.reveal !== undefined) {
+        const msgSpan = container.querySelector(':scope > span:last-child');
+        if (msgSpan) this._applyReveal(msgSpan, entry.reveal);
+      }
 
       return container;
     }
 
-    // --- Helper: Javascript Syntax Highlighting ---
-    _renderJavascriptSyntax(container, text, font) {
-        const tokenRegex = /(\/\/.*)|(".*?")|('.*?')|(`.*?`)|(\b(const|let|var|if|else|function|return|true|false|null|undefined|class|new|this|await|async|try|catch|while|for|switch|case|break|continue)\b)|(\b\d+\b)/g;
-
-        let lastIndex = 0;
-        let match;
-        let html = '';
-        
-        const escapeHTML = (str) => str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    // --- Helper: Syntax Highlighting ---
+    // A grammar is an ordered list of { token, regex } rules. At each position the first rule
+    // that matches wins; text no rule matches stays plain. A `lead` rule's first group is
+    // context it needs before the token (start or whitespace) and stays plain.
+    _registerGrammar (name, rules) {
+        this._grammars.set(name, rules.map(r => ({ token: r.token, lead: !!r.lead, regex: new RegExp(r.regex.source, r.regex.flags.replace(/[gy]/g, '') + 'y') })));
+    }
 
-        container.style.fontFamily = font;
+    _registerBuiltinGrammars () {
+        const words = (list) => new RegExp(`\\b(?:${list.split(' ').join('|')})\\b`);
+        const dq = /"(?:\\.|[^"\\\n])*"?/;
+        const sq = /'(?:\\.|[^'\\\n])*'?/;
+        const num = /\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/;
+
+        this._registerGrammar('javascript', [
+            { token: 'comment', regex: /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/ },
+            { token: 'string', regex: dq }, { token: 'string', regex: sq }, { token: 'string', regex: /`(?:\\.|[^`\\])*`?/ },
+            { token: 'keyword', regex: words('const let var if else function return true false null undefined class new this await async try catch finally throw while do for of in switch case break continue typeof instanceof import export from default yield delete void') },
+            { token: 'built-in', regex: words('console Math JSON Object Array String Number Boolean Promise Date RegExp Map Set window document') },
+            { token: 'number', regex: num },
+            { token: 'operator', regex: /=>|[=!<>]=?=?|&&|\|\||\?\?|[+\-*/%]=?/ }
+        ]);
+        this._registerGrammar('json', [
+            { token: 'property', regex: /"(?:\\.|[^"\\\n])*"(?=\s*:)/ },
+            { token: 'string', regex: dq },
+            { token: 'keyword', regex: words('true false null') },
+            { token: 'number', regex: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/ },
+            { token: 'punctuation', regex: /[{}[\],:]/ }
+        ]);
+        this._registerGrammar('python', [
+            { token: 'comment', regex: /#.*/ },
+            { token: 'string', regex: /[rbfuRBFU]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/ },
+            { token: 'string', regex: new RegExp(`[rbfuRBFU]{0,2}(?:${dq.source}|${sq.source})`) },
+            { token: 'keyword', regex: words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield True False None') },
+            { token: 'built-in', regex: /@[\w.]+|\b(?:print|len|range|int|str|float|list|dict|set|tuple|bool|input|open|enumerate|zip|map|filter|sorted|sum|min|max|abs|isinstance|type|super|self)\b/ },
+            { token: 'number', regex: num },
+            { token: 'operator', regex: /[=!<>]=?|[+\-*/%]=?|\*\*|\/\// }
+        ]);
+        this._registerGrammar('lua', [
+            { token: 'comment', regex: /--\[(=*)\[[\s\S]*?(?:\]\1\]|$)|--.*/ },
+            { token: 'string', regex: /\[(=*)\[[\s\S]*?(?:\]\1\]|$)/ },
+            { token: 'string', regex: dq }, { token: 'string', regex: sq },
+            { token: 'keyword', regex: words('and break do else elseif end false for function goto if in local nil not or repeat return then true until while') },
+            { token: 'built-in', regex: words('print pairs ipairs next type tostring tonumber require select error assert pcall setmetatable getmetatable table string math os io coroutine') },
+            { token: 'number', regex: num },
+            { token: 'operator', regex: /\.\.\.?|[=~<>]=|[+\-*/%^#<>=]/ }
+        ]);
+        this._registerGrammar('html', [
+            { token: 'comment', regex: /<!--[\s\S]*?(?:-->|$)/ },
+            { token: 'tag', regex: /<\/?[a-zA-Z][\w-]*|\/?>|<!DOCTYPE\b[^>]*>/ },
+            { token: 'attribute', regex: /[a-zA-Z_:][\w:.-]*(?=\s*=)/ },
+            { token: 'string', regex: dq }, { token: 'string', regex: sq },
+            { token: 'variable', regex: /&#?\w+;/ }
+        ]);
+        this._registerGrammar('css', [
+            { token: 'comment', regex: /\/\*[\s\S]*?(?:\*\/|$)/ },
+            { token: 'string', regex: dq }, { token: 'string', regex: sq },
+            { token: 'keyword', regex: /@[\w-]+|!important\b/ },
+            { token: 'property', regex: /-{0,2}[a-zA-Z][\w-]*(?=\s*:(?!:))/ },
+            { token: 'number', regex: /#[\da-fA-F]{3,8}\b|-?\d*\.?\d+(?:px|em|rem|%|vh|vw|vmin|vmax|deg|s|ms|fr)?\b/ },
+            { token: 'tag', regex: /[.#]?[a-zA-Z_][\w-]*(?=[^{};]*\{)/ },
+            { token: 'punctuation', regex: /[{}:;,()]/ }
+        ]);
+        // Scratch blocks written as text: when flag clicked / say [Hello!] for (2) seconds
+        this._registerGrammar('scratch', [
+            { token: 'comment', regex: /\/\/.*/ },
+            { token: 'string', regex: /\[[^\]\n]*\]?/ },
+            { token: 'number', regex: /\(\s*-?\d+(?:\.\d+)?\s*\)/ },
+            { token: 'variable', regex: /\([^()\n]*\)/ },
+            { token: 'keyword', regex: words('when flag clicked this sprite key pressed receive broadcast and wait if then else repeat until forever stop define end or not') },
+            { token: 'built-in', regex: words('move turn go to glide point in direction change set by to x y say think for seconds switch costume backdrop next show hide size effect play sound ask answer create clone of delete add item list') },
+            { token: 'operator', regex: /[<>]/ }
+        ]);
+        this._registerGrammar('shell', [
+            { token: 'comment', regex: /(^|\s)#.*/, lead: true },
+            { token: 'string', regex: dq }, { token: 'string', regex: sq },
+            { token: 'variable', regex: /\$(?:\{[^}\n]*\}?|[\w@#?$!*-])+/ },
+            { token: 'keyword', regex: words('if then else elif fi for in do done while until case esac function return export local select') },
+            { token: 'built-in', regex: words('echo cd ls pwd cat grep sed awk find rm cp mv mkdir touch chmod chown sudo git npm node python curl wget tar ssh kill ps exit source alias') },
+            { token: 'attribute', regex: /(^|\s)--?[\w-]+/, lead: true },
+            { token: 'number', regex: num },
+            { token: 'operator', regex: /\|\||&&|[|&;<>]/ }
+        ]);
+    }
 
-        while ((match = tokenRegex.exec(text)) !== null) {
-            if (match.index > lastIndex) {
-                html += escapeHTML(text.substring(lastIndex, match.index));
+    // Splits text into [{ token, text }] runs; token is '' for plain text.
+    _tokenizeSyntax (text, language) {
+        const rules = this._grammars.get(language) || [];
+        const runs = [];
+        let plain = '';
+        let pos = 0;
+
+        while (pos < text.length) {
+            let matched = null;
+            for (const rule of rules) {
+                rule.regex.lastIndex = pos;
+                const m = rule.regex.exec(text);
+                const lead = (m && rule.lead) ? (m[1] || '') : '';
+                if (m && m[0].length > lead.length) { matched = { token: rule.token, text: m[0].slice(lead.length), lead }; break; }
             }
-
-            const val = escapeHTML(match[0]);
-            let cls = '';
-            
-            if (match[1]) cls = 'console-syntax-comment';
-            else if (match[2] || match[3] || match[4]) cls = 'console-syntax-string';
-            else if (match[5]) cls = 'console-syntax-keyword';
-            else if (match[7]) cls = 'console-syntax-number';
-            
-            if (cls) html += `<span class="${cls}">${val}</span>`;
-            else html += val;
-
-            lastIndex = tokenRegex.lastIndex;
+            if (!matched) {
+                // Skip a whole word at once so keywords can't match inside identifiers
+                const word = /[\w$]+|[\s\S]/y;
+                word.lastIndex = pos;
+                const w = word.exec(text)[0];
+                plain += w;
+                pos += w.length;
+                continue;
+            }
+            plain += matched.lead;
+            if (plain) { runs.push({ token: '', text: plain }); plain = ''; }
+            runs.push({ token: matched.token, text: matched.text });
+            pos += matched.lead.length + matched.text.length;
         }
+        if (plain) runs.push({ token: '', text: plain });
+        return runs;
+    }
 
-        if (lastIndex < text.length) {
-            html += escapeHTML(text.substring(lastIndex));
+    _renderSyntax(container, text, font, language) {
+        container.style.fontFamily = font;
+        let html = '';
+        for (const run of this._tokenizeSyntax(String(text), language)) {
+            const val = this._escapeHTML(run.text);
+            html += run.token ? `<span class="console-syntax-${run.token}">${val}</span>` : val;
         }
-        
         container.innerHTML = html;
         if (text.endsWith('\n')) {
              container.appendChild(document.createTextNode('\u200B'));
         }
     }
 
+    _applySyntaxTheme (el) {
+        if (!el) return;
+        for (const token of this._syntaxTokens) {
+            el.style.setProperty(`--console-syntax-${token}`, this._firstColorFromRaw(this.style.syntaxColors[token]));
+        }
+    }
+
     // --- Helper: Split Gradient per Letter ---
     _renderSplitGradient(container, text, parsedColor, font) {
         const getRGB = (c) => {
@@ -1339,6 +2704,257 @@
         });
     }
 
+    // --- Helper: ANSI SGR ---
+    // Splits text on escape sequences into runs carrying the SGR state active for them.
+    // Non-SGR CSI sequences (cursor movement, erase) are dropped.
+    _parseAnsi (text) {
+        const seqRegex = /\x1b\[([\d;:?]*)([A-Za-z])/g;
+        const runs = [];
+        let state = {};
+        let lastIndex = 0;
+        let match;
+
+        const push = (str) => { if (str) runs.push({ text: str, state }); };
+
+        while ((match = seqRegex.exec(text)) !== null) {
+            push(text.substring(lastIndex, match.index));
+            lastIndex = seqRegex.lastIndex;
+            if (match[2] !== 'm') continue;
+            state = this._applySgrCodes(state, match[1]);
+        }
+        push(text.substring(lastIndex));
+        return runs;
+    }
+
+    _applySgrCodes (prev, params) {
+        const state = Object.assign({}, prev);
+        const codes = params === '' ? [0] : params.split(/[;:]/).map(n => Number(n) || 0);
+
+        // Reads "5;n" or "2;r;g;b" after a 38/48 code
+        const readExtended = (i) => {
+            if (codes[i + 1] === 5) return { color: this._ansi256Color(codes[i + 2] || 0), next: i + 2 };
+            if (codes[i + 1] === 2) {
+                const [r, g, b] = [codes[i + 2], codes[i + 3], codes[i + 4]].map(v => Math.max(0, Math.min(255, v || 0)));
+                return { color: this._rgbToHex(r, g, b), next: i + 4 };
+            }
+            return { color: null, next: i };
+        };
+
+        for (let i = 0; i < codes.length; i++) {
+            const c = codes[i];
+            if (c === 0) {
+                for (const k of Object.keys(state)) delete state[k];
+            }
+            else if (c === 1) state.bold = true;
+            else if (c === 2) state.dim = true;
+            else if (c === 3) state.italic = true;
+            else if (c === 4) state.underline = true;
+            else if (c === 7) state.inverse = true;
+            else if (c === 9) state.strike = true;
+            else if (c === 22) { delete state.bold; delete state.dim; }
+            else if (c === 23) delete state.italic;
+            else if (c === 24) delete state.underline;
+            else if (c === 27) delete state.inverse;
+            else if (c === 29) delete state.strike;
+            else if (c >= 30 && c <= 37) state.fg = this._ansi256Color(c - 30);
+            else if (c >= 90 && c <= 97) state.fg = this._ansi256Color(c - 90 + 8);
+            else if (c >= 40 && c <= 47) state.bg = this._ansi256Color(c - 40);
+            else if (c >= 100 && c <= 107) state.bg = this._ansi256Color(c - 100 + 8);
+            else if (c === 39) delete state.fg;
+            else if (c === 49) delete state.bg;
+            else if (c === 38 || c === 48) {
+                const ext = readExtended(i);
+                if (ext.color) state[c === 38 ? 'fg' : 'bg'] = ext.color;
+                i = ext.next;
+            }
+        }
+        return state;
+    }
+
+    _ansi256Color (n) {
+        const basic = ['#000000', '#CD3131', '#0DBC79', '#E5E510', '#2472C8', '#BC3FBC', '#11A8CD', '#E5E5E5',
+                       '#666666', '#F14C4C', '#23D18B', '#F5F543', '#3B8EEA', '#D670D6', '#29B8DB', '#FFFFFF'];
+        n = Math.max(0, Math.min(255, Math.floor(n)));
+        if (n < 16) return basic[n];
+        if (n < 232) {
+            const steps = [0, 95, 135, 175, 215, 255];
+            const i = n - 16;
+            return this._rgbToHex(steps[Math.floor(i / 36)], steps[Math.floor(i / 6) % 6], steps[i % 6]);
+        }
+        const gray = 8 + (n - 232) * 10;
+        return this._rgbToHex(gray, gray, gray);
+    }
+
+    // Hex keeps colors comma-free, so _parseColorArg doesn't read them as gradients
+    _rgbToHex (r, g, b) {
+        return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    _renderAnsi (container, text, font, baseColorRaw) {
+        container.style.fontFamily = font;
+        container.textContent = '';
+
+        for (const run of this._parseAnsi(String(text))) {
+            const s = run.state;
+            if (!Object.keys(s).length) {
+                container.appendChild(document.createTextNode(run.text));
+                continue;
+            }
+            const span = document.createElement('span');
+            span.textContent = run.text;
+            let fg = s.fg;
+            let bg = s.bg;
+            if (s.inverse) {
+                fg = s.bg || this._firstColorFromRaw(this.style.consoleBG);
+                bg = s.fg || this._firstColorFromRaw(baseColorRaw);
+            }
+            if (fg) {
+                this._applyInlineTextColor(span, fg);
+                // The line color may be a clipped gradient; a solid run must not inherit its transparent fill
+                span.style.webkitTextFillColor = fg;
+            }
+            if (bg) span.style.backgroundColor = bg;
+            if (s.bold) span.style.fontWeight = 'bold';
+            if (s.dim) span.style.opacity = '0.6';
+            if (s.italic) span.style.fontStyle = 'italic';
+            const decorations = [];
+            if (s.underline) decorations.push('underline');
+            if (s.strike) decorations.push('line-through');
+            if (decorations.length) span.style.textDecoration = decorations.join(' ');
+            container.appendChild(span);
+        }
+    }
+
+    _escapeHTML (str) {
+        return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // --- Helper: Markup ---
+    // [b] [i] [u] [s] [code] [color=#F00] [color=#F00,#00F,90] [url=https://...] [click=ID]
+    // Splits text into runs of identically styled text. Unknown or unmatched tags stay literal,
+    // and nothing inside [code] is parsed.
+    _parseMarkup (text) {
+        const tagRegex = /\[(\/?)(b|i|u|s|code|color|url|click)(?:=([^\]]*))?\]/gi;
+        const runs = [];
+        const stack = [];
+        let buffer = '';
+        let lastIndex = 0;
+        let match;
+
+        const flush = () => {
+            if (!buffer) return;
+            const run = { text: buffer };
+            for (const tag of stack) run[tag.name] = tag.value === undefined ? true : tag.value;
+            runs.push(run);
+            buffer = '';
+        };
+
+        while ((match = tagRegex.exec(text)) !== null) {
+            const closing = match[1] === '/';
+            const name = match[2].toLowerCase();
+            const inCode = stack.some(t => t.name === 'code');
+            buffer += text.substring(lastIndex, match.index);
+            lastIndex = tagRegex.lastIndex;
+
+            if (inCode && !(closing && name === 'code')) {
+                buffer += match[0];
+            } else if (closing) {
+                let depth = -1;
+                for (let i = stack.length - 1; i >= 0; i--) {
+                    if (stack[i].name === name) { depth = i; break; }
+                }
+                if (depth === -1) { buffer += match[0]; continue; }
+                flush();
+                stack.length = depth;
+            } else {
+                const value = (name === 'color' || name === 'url' || name === 'click') ? this._validateMarkupValue(name, match[3]) : (match[3] === undefined ? undefined : null);
+                if (value === null) { buffer += match[0]; continue; }
+                flush();
+                stack.push({ name, value });
+            }
+        }
+        buffer += text.substring(lastIndex);
+        flush();
+        return runs;
+    }
+
+    // Returns the sanitized tag value, or null if the tag should be shown literally.
+    _validateMarkupValue (name, raw) {
+        const value = String(raw || '').trim();
+        if (name === 'click') return value || null;
+        if (name === 'url') {
+            if (!value) return true; // [url]https://...[/url] links its own text
+            return /^(https?:|mailto:)/i.test(value) ? value : null;
+        }
+        // Color values are split on commas into gradient stops (as _parseColorArg does), so only
+        // hex colors, color names and a trailing angle are accepted
+        const colorPart = /^(#[0-9a-f]{3,8}|[a-z]+|-?\d+(\.\d+)?)$/i;
+        const parts = value.split(',').map(s => s.trim());
+        if (!value || !parts.every(p => colorPart.test(p))) return null;
+        return value;
+    }
+
+    _renderMarkup (container, text, font) {
+        container.style.fontFamily = font;
+        let html = '';
+
+        for (const run of this._parseMarkup(String(text))) {
+            const css = [];
+            const classes = [];
+            const decorations = [];
+            if (run.b) css.push('font-weight:bold');
+            if (run.i) css.push('font-style:italic');
+            if (run.u) decorations.push('underline');
+            if (run.s) decorations.push('line-through');
+            if (decorations.length) css.push(`text-decoration:${decorations.join(' ')}`);
+            if (run.code) classes.push('console-markup-code');
+            if (run.color) css.push(...this._inlineColorCSS(run.color));
+
+            const style = css.length ? ` style="${this._escapeHTML(css.join(';'))}"` : '';
+            if (run.url) {
+                const href = run.url === true ? run.text.trim() : run.url;
+                if (/^(https?:|mailto:)/i.test(href)) {
+                    classes.push('console-markup-link');
+                    html += `<a class="${classes.join(' ')}" data-href="${this._escapeHTML(href)}"${style}>${this._escapeHTML(run.text)}</a>`;
+                    continue;
+                }
+            }
+            let attrs = '';
+            if (run.click) {
+                classes.push('console-markup-click');
+                attrs = ` data-click-id="${this._escapeHTML(run.click)}"`;
+            }
+            if (!css.length && !classes.length) html += this._escapeHTML(run.text);
+            else html += `<span${classes.length ? ` class="${classes.join(' ')}"` : ''}${attrs}${style}>${this._escapeHTML(run.text)}</span>`;
+        }
+
+        container.innerHTML = html;
+        for (const link of container.querySelectorAll('a.console-markup-link')) {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this._openMarkupLink(link.dataset.href);
+            });
+        }
+    }
+
+    // CSS declarations for a color or gradient on an inline run. The fill color is set explicitly
+    // because a gradient on the parent makes inherited text fill transparent.
+    _inlineColorCSS (colorRaw) {
+        const parsed = this._parseColorArg(colorRaw);
+        if (parsed.isGradient && parsed.gradientCSS && this._supportsBackgroundClipText) {
+            return [`background-image:${parsed.gradientCSS}`, '-webkit-background-clip:text', 'background-clip:text', '-webkit-text-fill-color:transparent', 'color:transparent'];
+        }
+        return [`color:${parsed.color}`, `-webkit-text-fill-color:${parsed.color}`];
+    }
+
+    _openMarkupLink (href) {
+        try {
+            if (Scratch && typeof Scratch.openWindow === 'function') Scratch.openWindow(href);
+            else window.open(href, '_blank', 'noopener,noreferrer');
+        } catch (e) {}
+    }
+
     _applyLineStyle (el, entry) {
       if (!el) return;
       el.style.textAlign = entry.customAlign ? entry.customAlign : this.style.textAlign;
@@ -1401,16 +3017,9 @@
       let priorAtBottom = false;
       try { priorAtBottom = (this.logArea.scrollTop + this.logArea.clientHeight) >= (this.logArea.scrollHeight - 5); } catch (e) { priorAtBottom = false; }
 
-      const el = this._createLineElement(entry);
-      this.logArea.appendChild(el);
-
-      if (this._timestampFormat === 'relative' && this._io) {
-        if (entry.type !== 'spacing') {
-          try { this._io.observe(el); } catch (e) {}
-        }
-      }
-
+      // The entry is already in _consoleCache; the window renders it if it is in view
       this._resizeDynamicSizes(); 
+      this._renderVirtualWindow();
       
       if (!skipAutoScroll && this._autoScrollEnabled && priorAtBottom) this._instantScrollToBottom();
     }
@@ -1422,23 +3031,196 @@
       const prevMax = this.logArea.scrollHeight || 0;
       const wasAtBottom = (prevScroll + this.logArea.clientHeight) >= (prevMax - 5);
 
-      this.logArea.innerHTML = '';
-      for (const entry of this._consoleCache) {
-        const el = this._createLineElement(entry);
-        this.logArea.appendChild(el);
-      }
-
-      if (this._timestampFormat === 'relative' && this._io) this._observeAllLines();
+      this._resetVirtualDOM();
       this._resizeDynamicSizes();
 
       if (wasAtBottom) {
-        this.logArea.scrollTop = this.logArea.scrollHeight;
+        this._stickToBottom();
         this._scrollCache = this.logArea.scrollTop;
       } else {
         const newMax = this.logArea.scrollHeight || 0;
         const clamped = Math.min(Math.max(0, prevScroll), Math.max(0, newMax - this.logArea.clientHeight));
         this.logArea.scrollTop = clamped;
-        this._scrollCache = clamped;
+        this._renderVirtualWindow();
+        this._scrollCache = this.logArea.scrollTop;
+      }
+    }
+
+    // ---- virtualized rendering ----
+    // offsets[i] is the top of cache entry i inside the log (padding excluded) and
+    // offsets[length] the total height. Entries below validUpTo need recomputing.
+    _createVirtualState () {
+      return { heights: new Map(), offsets: [0], validUpTo: 0, topSpacer: null, bottomSpacer: null, metricsKey: '', scrollShift: 0 };
+    }
+
+    // Lines that take no space in the log (filtered by level).
+    _isEntryHidden (entry) {
+      return this._isLevelHidden(entry) || this._isInCollapsedGroup(entry);
+    }
+
+    _entryHeight (entry) {
+      if (this._isEntryHidden(entry)) return 0;
+      if (entry.type === 'spacing') return Math.max(0, Number(entry.spacingHeight) || 0);
+      const measured = this._virtual.heights.get(entry.id);
+      if (measured !== undefined) return measured;
+      const linePx = Math.max(0.1, 14 * (this._computedScale || 1) * (entry.customSize || this.style.sizeText || 1));
+      const lineHeight = linePx * (this.style.consoleLineSpacing || 1.0);
+      if (entry.type === 'image') return Math.max(lineHeight, Number(entry.height) || 0);
+      if (entry.type === 'table' || entry.type === 'object') return lineHeight * this._structuredRowCount(entry);
+      return lineHeight;
+    }
+
+    _invalidateOffsets (fromIndex) {
+      this._virtual.validUpTo = Math.max(0, Math.min(this._virtual.validUpTo, fromIndex));
+    }
+
+    _invalidateAllHeights () {
+      this._virtual.heights.clear();
+      this._invalidateOffsets(0);
+    }
+
+    // Forgets the measured height of one entry (after a restyle) and re-renders.
+    _invalidateEntry (index) {
+      const entry = this._consoleCache[index];
+      if (entry) this._virtual.heights.delete(entry.id);
+      this._invalidateOffsets(index);
+      this._renderVirtualWindow();
+    }
+
+    _ensureOffsets () {
+      const v = this._virtual;
+      const cache = this._consoleCache;
+      if (v.offsets.length > cache.length + 1) v.offsets.length = cache.length + 1;
+      v.validUpTo = Math.min(v.validUpTo, cache.length);
+      for (let i = v.validUpTo; i < cache.length; i++) v.offsets[i + 1] = v.offsets[i] + this._entryHeight(cache[i]);
+      v.validUpTo = cache.length;
+      return v.offsets;
+    }
+
+    // Index of the entry covering offset y (binary search over offsets).
+    _indexAtOffset (y) {
+      const offsets = this._ensureOffsets();
+      const len = this._consoleCache.length;
+      let lo = 0;
+      let hi = len - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (offsets[mid] <= y) lo = mid;
+        else hi = mid - 1;
+      }
+      return Math.max(0, lo);
+    }
+
+    _resetVirtualDOM () {
+      if (!this.logArea) return;
+      this.logArea.innerHTML = '';
+      this._visibleSet.clear();
+      const makeSpacer = () => {
+        const spacer = document.createElement('div');
+        // console-spacing keeps the spacers out of every per-line loop
+        spacer.className = 'console-spacing console-virtual-spacer';
+        spacer.style.height = '0px';
+        this.logArea.appendChild(spacer);
+        return spacer;
+      };
+      this._virtual.topSpacer = makeSpacer();
+      this._virtual.bottomSpacer = makeSpacer();
+      this._virtual.heights.clear();
+      this._virtual.scrollShift = 0;
+      this._invalidateOffsets(0);
+      this._virtual.bottomSpacer.style.height = `${this._ensureOffsets()[this._consoleCache.length]}px`;
+    }
+
+    // Syncs the DOM with the slice of _consoleCache around the scroll position,
+    // measuring what it renders so the spacers converge on real heights.
+    _renderVirtualWindow () {
+      if (!this.logArea) return;
+      const v = this._virtual;
+      if (!v.topSpacer || v.topSpacer.parentNode !== this.logArea || !v.bottomSpacer || v.bottomSpacer.parentNode !== this.logArea) {
+        this._resetVirtualDOM();
+      }
+      const cache = this._consoleCache;
+      const pad = this.style.consolePadding || 0;
+      const viewH = this.logArea.clientHeight || 360;
+      // Lines evicted above the view since the last render: keep what the user is reading in place
+      if (v.scrollShift) {
+        this.logArea.scrollTop = Math.max(0, (this.logArea.scrollTop || 0) - v.scrollShift);
+        v.scrollShift = 0;
+      }
+      const viewTop = Math.max(0, (this.logArea.scrollTop || 0) - pad);
+
+      let offsets = this._ensureOffsets();
+      const start = cache.length ? this._indexAtOffset(viewTop - viewH) : 0;
+      const end = cache.length ? Math.min(cache.length, this._indexAtOffset(viewTop + viewH * 2) + 1) : 0;
+      const anchorIdx = this._indexAtOffset(viewTop);
+      const anchorDelta = viewTop - (offsets[anchorIdx] || 0);
+
+      const existing = new Map();
+      for (const ch of Array.from(this.logArea.children)) {
+        if (ch === v.topSpacer || ch === v.bottomSpacer) continue;
+        existing.set(ch.dataset.id, ch);
+      }
+
+      const wanted = [];
+      for (let i = start; i < end; i++) {
+        const entry = cache[i];
+        const key = String(entry.id);
+        let el = existing.get(key);
+        if (el) {
+          existing.delete(key);
+        } else {
+          el = this._createLineElement(entry);
+          if (entry.type !== 'spacing') {
+            this._applyLineMetrics(el);
+            if (this._timestampFormat === 'relative' && this._io) {
+              try { this._io.observe(el); } catch (e) {}
+            }
+          }
+        }
+        wanted.push(el);
+      }
+
+      for (const el of existing.values()) {
+        if (this._io) try { this._io.unobserve(el); } catch (e) {}
+        this._visibleSet.delete(el);
+        el.remove();
+      }
+      let prev = v.topSpacer;
+      for (const el of wanted) {
+        if (prev.nextSibling !== el) this.logArea.insertBefore(el, prev.nextSibling);
+        prev = el;
+      }
+
+      // Measure what is on screen and fold real heights back into the offsets
+      for (let i = start; i < end; i++) {
+        const entry = cache[i];
+        if (entry.type === 'spacing' || this._isEntryHidden(entry)) continue;
+        const h = wanted[i - start].offsetHeight;
+        if (!h || v.heights.get(entry.id) === h) continue;
+        const old = this._entryHeight(entry);
+        v.heights.set(entry.id, h);
+        if (old !== h) this._invalidateOffsets(i);
+      }
+      offsets = this._ensureOffsets();
+      v.topSpacer.style.height = `${offsets[start]}px`;
+      v.bottomSpacer.style.height = `${Math.max(0, offsets[cache.length] - offsets[end])}px`;
+
+      // Keep the first visible line where it was when heights above it changed
+      const anchoredTop = (offsets[anchorIdx] || 0) + anchorDelta + pad;
+      if (viewTop > 0 && Math.abs(anchoredTop - this.logArea.scrollTop) > 1) {
+        this.logArea.scrollTop = anchoredTop;
+      }
+    }
+
+    // Scrolls to the bottom, re-rendering until measured heights stop moving it.
+    _stickToBottom () {
+      if (!this.logArea) return;
+      for (let i = 0; i < 4; i++) {
+        const before = this.logArea.scrollHeight;
+        this.logArea.scrollTop = this.logArea.scrollHeight;
+        this._renderVirtualWindow();
+        this.logArea.scrollTop = this.logArea.scrollHeight;
+        if (this.logArea.scrollHeight === before) break;
       }
     }
 
@@ -1451,11 +3233,17 @@
         type: type,
         ts: Date.now(),
         text: String(text),
-        colorRaw: String(color || '#FFFFFF')
+        // Leveled lines without a color of their own follow the level color, see _entryColor
+        colorRaw: (color || !entryOverride.level) ? String(color || '#FFFFFF') : undefined
       }, entryOverride);
+      if (entry.groups === undefined && this._groupStack.length) entry.groups = [...this._groupStack];
 
+      if (!this._makeRoomForLine()) return;
       this._consoleCache.push(entry);
-      if (this._dotsInterval) this._stopDots();
+      this._lineCount++;
+      if (entry.type === 'group' && entry.collapsed) this._collapsedGroups.add(entry.groupId);
+      if (this._dotsEntry) this._stopDots();
+      if (this._search.query) this._appendSearchMatches(entry);
       this._addLineToDOM(entry);
 
       if (type === 'image' && (entry.width > 0 || entry.height > 0)) {
@@ -1464,6 +3252,107 @@
     }
 
     logMessage (args) { this._log(args.TEXT, args.COLOR); }
+
+    logMarkup (args) { this._log(args.TEXT, args.COLOR, 'text', { markup: true }); }
+
+    // ---- clickable lines ----
+    logButton (args) {
+      const id = String(args.ID ?? '').trim();
+      this._log(args.TEXT, args.COLOR, 'text', { buttonId: id || String(args.TEXT ?? '') });
+    }
+
+    // Any line click fires the hat; buttons and [click=ID] tokens also report an id.
+    _handleLineClick (e) {
+      const line = e.target && e.target.closest ? e.target.closest('.console-line') : null;
+      if (!line || !this.logArea || !this.logArea.contains(line)) return;
+      const toggle = e.target.closest('.console-tree-toggle[data-path]');
+      if (toggle) {
+        this._toggleStructuredPath(line.dataset.id, toggle.dataset.path);
+        return;
+      }
+      if (line.classList.contains('console-group-header')) {
+        this._toggleGroup(line.dataset.id);
+        return;
+      }
+      const clickable = e.target.closest('[data-click-id]');
+      if (!clickable) {
+        // Finishing a text selection is not a click on the line
+        try {
+          const sel = window.getSelection();
+          if (sel && !sel.isCollapsed && line.contains(sel.anchorNode)) return;
+        } catch (err) {}
+      }
+
+      const idx = this._consoleCache.findIndex(entry => String(entry.id) === line.dataset.id);
+      if (idx === -1) return;
+      this._lastClick = { id: clickable ? clickable.dataset.clickId : '', line: this._getVisualIndex(idx) };
+      this._clickEventId++;
+      try {
+        if (typeof vm !== 'undefined' && vm && vm.runtime && typeof vm.runtime.startHats === 'function') {
+          vm.runtime.startHats(`${this.id}_whenLineClicked`);
+        }
+      } catch (err) {}
+    }
+
+    whenLineClicked (args, util) {
+      try {
+        const tid = util?.target?.id ?? 'global';
+        return this._consumeHatEvent(`whenLineClicked:${tid}`, this._clickEventId);
+      } catch (e) {
+        return false;
+      }
+    }
+
+    getClickedId () { return this._lastClick.id; }
+    getClickedLine () { return this._lastClick.line; }
+
+    // ---- log levels ----
+    _normalizeLevel (level) {
+      const l = String(level || '').toLowerCase();
+      return this._levels.includes(l) ? l : null;
+    }
+
+    // Lines logged without a level are never filtered.
+    // Resolved when the line is drawn, so changing a level color recolors lines already logged
+    _entryColor (entry) {
+      return entry.colorRaw || (entry.level && this.style.levelColors[entry.level]) || '#FFFFFF';
+    }
+
+    _isLevelHidden (entry) {
+      if (!entry || !entry.level) return false;
+      return this._levels.indexOf(entry.level) < this._levels.indexOf(this.style.minLogLevel);
+    }
+
+    logLevel (args) {
+      const level = this._normalizeLevel(args.LEVEL) || 'info';
+      this._log(args.TEXT, undefined, 'text', { level });
+    }
+
+    setLevelColor (args) {
+      const level = this._normalizeLevel(args.LEVEL);
+      if (!level) return;
+      this.style.levelColors = Object.assign({}, this.style.levelColors, { [level]: String(args.COLOR || '#FFFFFF').trim() });
+      this._restoreConsoleCache();
+      this._applyCrtEffects();
+    }
+
+    setLevelBadge (args) {
+      const level = this._normalizeLevel(args.LEVEL);
+      if (!level) return;
+      this.style.levelBadges = Object.assign({}, this.style.levelBadges, { [level]: String(args.TEXT ?? '') });
+      this._restoreConsoleCache();
+    }
+
+    setMinLogLevel (args) {
+      this.style.minLogLevel = this._normalizeLevel(args.LEVEL) || 'debug';
+      if (!this.logArea) return;
+      this._syncHiddenLines();
+      this._invalidateOffsets(0);
+      this._renderVirtualWindow();
+      if (this._search.query) this._runSearch();
+    }
+
+    getMinLogLevel () { return this.style.minLogLevel; }
     
     logImage (args) {
       this._log('', null, 'image', {
@@ -1475,227 +3364,2045 @@
       });
     }
 
+    // ---- tables and objects ----
+    // Table and object lines keep their JSON in `text` and are laid out on every render.
+    // Open branches are stored in `entry.expanded` as JSON-encoded key paths, so they persist.
+    _structuredData = new WeakMap();
+
+    _parseStructured (entry) {
+      const cached = this._structuredData.get(entry);
+      if (cached && cached.text === entry.text) return cached.value;
+      let value;
+      try { value = JSON.parse(entry.text); } catch (e) { value = String(entry.text ?? ''); }
+      this._structuredData.set(entry, { text: entry.text, value });
+      return value;
+    }
+
+    _isJsonContainer (value) {
+      return value !== null && typeof value === 'object';
+    }
+
+    _jsonEntries (value) {
+      return Array.isArray(value) ? value.map((v, i) => [String(i), v]) : Object.entries(value);
+    }
+
+    _jsonPreview (value) {
+      if (Array.isArray(value)) return `Array(${value.length})`;
+      const keys = Object.keys(value);
+      return `{${keys.slice(0, 3).join(', ')}${keys.length > 3 ? ', …' : ''}}`;
+    }
+
+    _jsonValueSpan (value) {
+      const span = document.createElement('span');
+      if (typeof value === 'string') {
+        span.className = 'console-syntax-string';
+        span.textContent = JSON.stringify(value);
+      } else {
+        span.className = typeof value === 'number' ? 'console-syntax-number' : 'console-syntax-keyword';
+        span.textContent = String(value);
+      }
+      return span;
+    }
+
+    // Columns follow console.table: every key of the object rows, plus "Value" for primitive rows.
+    _tableLayout (value) {
+      const rows = this._jsonEntries(value);
+      const columns = [];
+      const seen = new Set();
+      let hasValue = false;
+      for (const [, row] of rows) {
+        if (!this._isJsonContainer(row)) {
+          hasValue = true;
+          continue;
+        }
+        for (const key of Object.keys(row)) {
+          if (!seen.has(key)) {
+            seen.add(key);
+            columns.push(key);
+          }
+        }
+      }
+      return { rows, columns, hasValue };
+    }
+
+    _tableCell (row, column) {
+      return this._isJsonContainer(row) && Object.prototype.hasOwnProperty.call(row, column) ? { value: row[column] } : null;
+    }
+
+    _buildJsonNode (parent, key, value, path, expanded, depth) {
+      const row = document.createElement('span');
+      row.className = 'console-tree-row';
+      row.style.paddingLeft = `${depth * 1.2}em`;
+
+      const isContainer = this._isJsonContainer(value);
+      const pathKey = JSON.stringify(path);
+      const open = isContainer && expanded.has(pathKey);
+      const toggle = document.createElement('span');
+      toggle.className = 'console-tree-toggle' + (isContainer ? (open ? ' open' : '') : ' leaf');
+      if (isContainer) toggle.dataset.path = pathKey;
+      row.appendChild(toggle);
+
+      if (key !== null) {
+        const keySpan = document.createElement('span');
+        keySpan.className = 'console-syntax-property';
+        keySpan.textContent = key;
+        const colon = document.createElement('span');
+        colon.className = 'console-syntax-punctuation';
+        colon.textContent = ': ';
+        row.appendChild(keySpan);
+        row.appendChild(colon);
+      }
+      if (isContainer) {
+        const preview = document.createElement('span');
+        preview.className = 'console-syntax-punctuation';
+        preview.textContent = this._jsonPreview(value);
+        row.appendChild(preview);
+      } else {
+        row.appendChild(this._jsonValueSpan(value));
+      }
+      parent.appendChild(row);
+
+      if (open) {
+        for (const [k, v] of this._jsonEntries(value)) this._buildJsonNode(parent, k, v, path.concat(k), expanded, depth + 1);
+      }
+    }
+
+    _renderStructured (msgSpan, entry) {
+      msgSpan.style.fontFamily = this.style.fontText;
+      msgSpan.style.display = 'inline';
+      msgSpan.style.color = this._firstColorFromRaw(this._entryColor(entry));
+
+      const value = this._parseStructured(entry);
+      const expanded = new Set(entry.expanded || []);
+      if (entry.type !== 'table' || !this._isJsonContainer(value)) {
+        const tree = document.createElement('span');
+        tree.className = 'console-tree';
+        this._buildJsonNode(tree, null, value, [], expanded, 0);
+        msgSpan.appendChild(tree);
+        return;
+      }
+
+      const { rows, columns, hasValue } = this._tableLayout(value);
+      const table = document.createElement('table');
+      table.className = 'console-table';
+      const head = table.createTHead().insertRow();
+      for (const title of ['(index)', ...columns, ...(hasValue ? ['Value'] : [])]) {
+        const th = document.createElement('th');
+        th.textContent = title;
+        head.appendChild(th);
+      }
+      const body = table.createTBody();
+      for (const [key, row] of rows) {
+        const tr = body.insertRow();
+        const index = tr.insertCell();
+        index.className = 'console-syntax-property';
+        index.textContent = key;
+        const cells = columns.map(c => this._tableCell(row, c));
+        if (hasValue) cells.push(this._isJsonContainer(row) ? null : { value: row });
+        cells.forEach((cell, i) => {
+          const td = tr.insertCell();
+          if (!cell) return;
+          // Nested values collapse inside their cell
+          if (this._isJsonContainer(cell.value)) {
+            const tree = document.createElement('span');
+            tree.className = 'console-tree';
+            this._buildJsonNode(tree, null, cell.value, [key, i < columns.length ? columns[i] : ''], expanded, 0);
+            td.appendChild(tree);
+          } else {
+            td.appendChild(this._jsonValueSpan(cell.value));
+          }
+        });
+      }
+      msgSpan.appendChild(table);
+    }
+
+    _countJsonRows (value, path, expanded) {
+      let count = 1;
+      if (this._isJsonContainer(value) && expanded.has(JSON.stringify(path))) {
+        for (const [k, v] of this._jsonEntries(value)) count += this._countJsonRows(v, path.concat(k), expanded);
+      }
+      return count;
+    }
+
+    // Estimated height in text rows until the line has been measured
+    _structuredRowCount (entry) {
+      const value = this._parseStructured(entry);
+      const expanded = new Set(entry.expanded || []);
+      if (entry.type === 'table' && this._isJsonContainer(value)) return this._jsonEntries(value).length + 1;
+      return this._countJsonRows(value, [], expanded);
+    }
+
+    _toggleStructuredPath (id, path) {
+      const idx = this._consoleCache.findIndex(entry => String(entry.id) === id);
+      const entry = this._consoleCache[idx];
+      if (!entry) return;
+      const expanded = new Set(entry.expanded || []);
+      if (expanded.has(path)) expanded.delete(path);
+      else expanded.add(path);
+      entry.expanded = Array.from(expanded);
+      this._refreshLineElement(idx);
+      this._invalidateEntry(idx);
+    }
+
+    _structuredAsText (entry) {
+      const value = this._parseStructured(entry);
+      if (entry.type !== 'table' || !this._isJsonContainer(value)) return JSON.stringify(value, null, 2);
+
+      const { rows, columns, hasValue } = this._tableLayout(value);
+      const format = (cell) => (!cell ? '' : (typeof cell.value === 'string' ? cell.value : JSON.stringify(cell.value)));
+      const header = ['(index)', ...columns, ...(hasValue ? ['Value'] : [])];
+      const body = rows.map(([key, row]) => [
+        key,
+        ...columns.map(c => format(this._tableCell(row, c))),
+        ...(hasValue ? [this._isJsonContainer(row) ? '' : format({ value: row })] : [])
+      ]);
+      const widths = header.map((h, i) => Math.max(h.length, ...body.map(r => r[i].length)));
+      return [header, ...body].map(r => r.map((c, i) => c.padEnd(widths[i])).join(' | ').trimEnd()).join('\n');
+    }
+
+    _structuredAsMarkdown (entry) {
+      const value = this._parseStructured(entry);
+      if (entry.type !== 'table' || !this._isJsonContainer(value)) {
+        return '```json\n' + JSON.stringify(value, null, 2) + '\n```';
+      }
+      const { rows, columns, hasValue } = this._tableLayout(value);
+      const esc = (str) => String(str).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+      const format = (cell) => (!cell ? '' : esc(typeof cell.value === 'string' ? cell.value : JSON.stringify(cell.value)));
+      const header = ['(index)', ...columns, ...(hasValue ? ['Value'] : [])];
+      const lines = [`| ${header.map(esc).join(' | ')} |`, `|${header.map(() => ' --- ').join('|')}|`];
+      for (const [key, row] of rows) {
+        const cells = [esc(key), ...columns.map(c => format(this._tableCell(row, c)))];
+        if (hasValue) cells.push(this._isJsonContainer(row) ? '' : format({ value: row }));
+        lines.push(`| ${cells.join(' | ')} |`);
+      }
+      return lines.join('\n');
+    }
+
+    // Invalid JSON is logged as it was typed
+    _logStructured (json, type) {
+      const text = String(json ?? '');
+      let value;
+      try {
+        value = JSON.parse(text);
+      } catch (e) {
+        this._log(text, '#FFFFFF');
+        return;
+      }
+      this._log(JSON.stringify(value), '#FFFFFF', type, type === 'object' ? { expanded: ['[]'] } : {});
+    }
+
+    logTable (args) { this._logStructured(args.JSON, 'table'); }
+
+    logObject (args) { this._logStructured(args.JSON, 'object'); }
+
     // --- Dots animation ---
-    _dotsInterval = null;
+    // The dots line is a live line that goes away as soon as anything else is logged.
     logDots (args) {
-      const text = '...';
       const color = args.COLOR || '#FFFFFF'; 
       
-      const lastEntry = this._consoleCache[this._consoleCache.length - 1];
+      const lastIdx = this._consoleCache.length - 1;
+      const lastEntry = this._consoleCache[lastIdx];
 
-      if (lastEntry && lastEntry.type === 'dots') {
+      if (lastEntry && lastEntry === this._dotsEntry) {
         lastEntry.ts = Date.now();
         lastEntry.colorRaw = color; 
-        if (this.logArea) {
-          const el = this.logArea.querySelector(`[data-id="${lastEntry.id}"]`);
-          if (el) {
-             el.dataset.ts = String(lastEntry.ts);
-             const msgSpan = el.querySelectorAll('span')[1];
-             if(msgSpan) this._applyInlineTextColor(msgSpan, color);
+        this._refreshLineElement(lastIdx);
+        return;
+      }
+
+      this._log('...', color, 'dots');
+      const entry = this._consoleCache[this._consoleCache.length - 1];
+      if (entry && entry.type === 'dots') this._dotsEntry = entry;
+    }
+    
+    _stopDots () {
+      const entry = this._dotsEntry;
+      this._dotsEntry = null;
+      const idx = entry ? this._consoleCache.lastIndexOf(entry) : -1;
+      if (idx !== -1) {
+        this.removeLine({ INDEX: this._getVisualIndex(idx) });
+      }
+    }
+
+    // ---- live lines ----
+    // Lines logged with a handle can be changed later. Handles are looked up by name,
+    // so removing other lines never breaks them. Dots and spinners animate from the
+    // time they were logged, which keeps a line scrolled back into view on the right frame.
+    _spinnerFrames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+
+    _liveFrame (entry, now = Date.now()) {
+      const elapsed = Math.max(0, now - (Number(entry.ts) || now));
+      if (entry.type === 'dots') return '.'.repeat(Math.floor(elapsed / 500) % 3 + 1);
+      return this._spinnerFrames[Math.floor(elapsed / 80) % this._spinnerFrames.length];
+    }
+
+    _clampProgress (value) {
+      const n = Number(value);
+      return Number.isFinite(n) ? Math.max(0, Math.min(100, n)) : 0;
+    }
+
+    _renderLiveLine (msgSpan, entry) {
+      msgSpan.style.fontFamily = this.style.fontText;
+      msgSpan.style.display = 'inline';
+      this._applyInlineTextColor(msgSpan, this._entryColor(entry));
+
+      if (entry.type === 'dots') {
+        msgSpan.textContent = this._liveFrame(entry);
+      } else if (entry.type === 'spinner') {
+        // The frame is drawn by CSS so it never becomes part of the line's text
+        const glyph = document.createElement('span');
+        glyph.className = 'console-spinner';
+        glyph.dataset.frame = this._liveFrame(entry);
+        msgSpan.appendChild(glyph);
+        msgSpan.appendChild(document.createTextNode(entry.text || ''));
+      } else {
+        const pct = this._clampProgress(entry.progress);
+        const parsed = this._parseColorArg(this._entryColor(entry));
+        if (entry.text) msgSpan.appendChild(document.createTextNode(`${entry.text} `));
+        const bar = document.createElement('span');
+        bar.className = 'console-progress';
+        const fill = document.createElement('span');
+        fill.className = 'console-progress-fill';
+        fill.style.width = `${pct}%`;
+        fill.style.background = parsed.isGradient ? parsed.gradientCSS : parsed.color;
+        bar.appendChild(fill);
+        msgSpan.appendChild(bar);
+        const value = document.createElement('span');
+        value.className = 'console-progress-value';
+        value.textContent = `${Math.round(pct)}%`;
+        msgSpan.appendChild(value);
+      }
+
+      if (entry.type !== 'progress') {
+        this._liveLines.add(entry);
+        if (!this._lineTimer) this._lineTimer = setInterval(this._paneHandler(() => this._tickLiveLines()), 100);
+      }
+    }
+
+    // Only animated lines that are currently rendered are tracked; the others rejoin when drawn again.
+    _tickLiveLines () {
+      const now = Date.now();
+      for (const entry of this._liveLines) {
+        const el = this.logArea ? this.logArea.querySelector(`[data-id="${entry.id}"]`) : null;
+        if (!el || (entry.type !== 'dots' && entry.type !== 'spinner')) {
+          this._liveLines.delete(entry);
+          continue;
+        }
+        const glyph = el.querySelector('.console-spinner');
+        if (glyph) {
+          glyph.dataset.frame = this._liveFrame(entry, now);
+        } else {
+          const msgSpan = el.querySelector(':scope > span:last-child');
+          if (msgSpan) msgSpan.textContent = this._liveFrame(entry, now);
+        }
+      }
+      if (!this._liveLines.size && this._lineTimer) {
+        clearInterval(this._lineTimer);
+        this._lineTimer = null;
+      }
+    }
+
+    _normalizeHandle (handle) {
+      return String(handle ?? '').trim();
+    }
+
+    _findHandleIndex (handle) {
+      const key = this._normalizeHandle(handle);
+      if (!key) return -1;
+      for (let i = this._consoleCache.length - 1; i >= 0; i--) {
+        if (this._consoleCache[i].handle === key) return i;
+      }
+      return -1;
+    }
+
+    // Applies changes to the line with this handle. Returns false when there is no such line.
+    _updateHandleLine (handle, changes) {
+      const idx = this._findHandleIndex(handle);
+      if (idx === -1) return false;
+      const entry = this._consoleCache[idx];
+      Object.assign(entry, changes);
+      if (entry.type !== 'progress') delete entry.progress;
+      this._refreshLineElement(idx);
+      this._invalidateEntry(idx);
+      if (this._search.query && changes.text !== undefined) this._runSearch();
+      return true;
+    }
+
+    // Logging with a handle that is already in use updates that line instead of adding one,
+    // so the same blocks can run every frame of a loader.
+    _logLiveLine (args, type, fields = {}) {
+      const handle = this._normalizeHandle(args.HANDLE);
+      const text = String(args.TEXT ?? '');
+      const colorRaw = String(args.COLOR || '#FFFFFF');
+      if (this._updateHandleLine(handle, Object.assign({ type, text, colorRaw }, fields))) return;
+      this._log(text, colorRaw, type, Object.assign(handle ? { handle } : {}, fields));
+    }
+
+    logHandleLine (args) { this._logLiveLine(args, 'text'); }
+
+    logProgressBar (args) { this._logLiveLine(args, 'progress', { progress: this._clampProgress(args.VALUE) }); }
+
+    logSpinner (args) { this._logLiveLine(args, 'spinner'); }
+
+    setLineText (args) { this._updateHandleLine(args.HANDLE, { text: String(args.TEXT ?? '') }); }
+
+    setLineColor (args) { this._updateHandleLine(args.HANDLE, { colorRaw: String(args.COLOR || '#FFFFFF') }); }
+
+    setLineProgress (args) {
+      const idx = this._findHandleIndex(args.HANDLE);
+      const entry = this._consoleCache[idx];
+      if (!entry || entry.type !== 'progress') return;
+      entry.progress = this._clampProgress(args.VALUE);
+      // Move the existing bar so its width transition plays
+      const el = this.logArea ? this.logArea.querySelector(`[data-id="${entry.id}"]`) : null;
+      const fill = el && el.querySelector('.console-progress-fill');
+      const value = el && el.querySelector('.console-progress-value');
+      if (!fill || !value) {
+        this._refreshLineElement(idx);
+        return;
+      }
+      fill.style.width = `${entry.progress}%`;
+      value.textContent = `${Math.round(entry.progress)}%`;
+      if (this._search.query) this._runSearch();
+    }
+
+    removeHandleLine (args) {
+      const idx = this._findHandleIndex(args.HANDLE);
+      if (idx !== -1) this.removeLine({ INDEX: this._getVisualIndex(idx) });
+    }
+
+    getHandleLine (args) {
+      const idx = this._findHandleIndex(args.HANDLE);
+      return idx === -1 ? 0 : this._getVisualIndex(idx);
+    }
+
+    getLineProgress (args) {
+      const entry = this._consoleCache[this._findHandleIndex(args.HANDLE)];
+      return entry && entry.type === 'progress' ? entry.progress : 0;
+    }
+
+    // ---- typewriter ----
+    // Typewriter lines are rendered in full and only the characters past `count` are hidden,
+    // so split gradients and syntax colors look the same mid-animation as when finished.
+    _applyReveal (root, count) {
+      let left = count;
+      const hide = (node) => {
+        if (node.nodeType === 1) {
+          node.classList.add('console-unrevealed');
+          return;
+        }
+        const span = document.createElement('span');
+        span.className = 'console-unrevealed';
+        node.parentNode.replaceChild(span, node);
+        span.appendChild(node);
+      };
+      const walk = (parent) => {
+        for (const node of Array.from(parent.childNodes)) {
+          if (left <= 0) {
+            if (node.nodeType === 1 || node.nodeType === 3) hide(node);
+          } else if (node.nodeType === 3) {
+            if (node.nodeValue.length > left) hide(node.splitText(left));
+            left -= node.nodeValue.length;
+          } else if (node.nodeType === 1) {
+            walk(node);
           }
         }
-      } else {
-        this._log(text, color, 'dots');
+      };
+      walk(root);
+    }
+
+    // Re-renders one line in place, for changes that keep its height.
+    _refreshLineElement (index) {
+      const entry = this._consoleCache[index];
+      const el = entry && this.logArea ? this.logArea.querySelector(`[data-id="${entry.id}"]`) : null;
+      if (!el || entry.type === 'spacing') return;
+      const fresh = this._createLineElement(entry);
+      this._applyLineMetrics(fresh);
+      if (this._io) {
+        try { this._io.unobserve(el); } catch (e) {}
+        if (this._timestampFormat === 'relative') try { this._io.observe(fresh); } catch (e) {}
+      }
+      this._visibleSet.delete(el);
+      el.replaceWith(fresh);
+    }
+
+    _startTypewriter (args) {
+      const cps = Number(args.CPS);
+      const id = this._nextId;
+      // The line is logged in full first, so it takes its final height straight away
+      this._log(args.TEXT, args.COLOR, 'text', { reveal: 0 });
+      const entry = this._consoleCache[this._consoleCache.length - 1];
+      if (!entry || entry.id !== id) return null;
+
+      let resolve;
+      const done = new Promise(r => { resolve = r; });
+      const tw = { pane: this._loadedPane, entry, cps, startedAt: Date.now(), length: this._getEntryPlainText(entry).length, done, resolve };
+      this._typewriters.push(tw);
+      this._updateTypewriterSkip();
+      // Zero or invalid speeds show the whole line at once
+      this._revealTypewriter(tw, cps > 0 ? 0 : Infinity);
+      if (this._typewriters.includes(tw) && !this._typewriterInterval) {
+        this._typewriterInterval = setInterval(() => this._tickTypewriters(), 30);
       }
+      return tw;
+    }
 
-      if (this._dotsInterval) return;
+    _tickTypewriters () {
+      const now = Date.now();
+      for (const tw of this._typewriters.slice()) {
+        this._revealTypewriter(tw, Math.floor((now - tw.startedAt) * tw.cps / 1000));
+      }
+    }
 
-      this._dotsInterval = setInterval(() => {
-        const dotsEntry = this._consoleCache.find(e => e.type === 'dots');
-        if (!dotsEntry) {
-          this._stopDots();
+    _revealTypewriter (tw, count) {
+      if (!this._panes.has(tw.pane)) {
+        this._endTypewriter(tw, false);
+        return;
+      }
+      this._withPane(tw.pane, () => {
+        const idx = this._consoleCache.indexOf(tw.entry);
+        // Cleared, removed or evicted before it finished
+        if (idx === -1) {
+          this._endTypewriter(tw, false);
           return;
         }
+        if (count >= tw.length) {
+          delete tw.entry.reveal;
+          this._refreshLineElement(idx);
+          this._endTypewriter(tw, true);
+        } else if (count !== tw.entry.reveal) {
+          tw.entry.reveal = count;
+          this._refreshLineElement(idx);
+        }
+      });
+    }
 
-        const maxDots = 3;
-        let currentDots = (dotsEntry.text.match(/\./g) || []).length;
-        currentDots = (currentDots % maxDots) + 1;
-        
-        dotsEntry.text = '.'.repeat(currentDots);
-        
-        if (this.logArea) {
-          const el = this.logArea.querySelector(`[data-id="${dotsEntry.id}"]`);
-          if (el) {
-            const msgSpan = el.querySelectorAll('span')[1];
-            if (msgSpan) msgSpan.textContent = dotsEntry.text;
+    _endTypewriter (tw, completed) {
+      const i = this._typewriters.indexOf(tw);
+      if (i === -1) return;
+      this._typewriters.splice(i, 1);
+      delete tw.entry.reveal;
+      if (!this._typewriters.length && this._typewriterInterval) {
+        clearInterval(this._typewriterInterval);
+        this._typewriterInterval = null;
+      }
+      this._updateTypewriterSkip();
+      if (completed) {
+        this._typewriterEventId++;
+        try {
+          if (typeof vm !== 'undefined' && vm && vm.runtime && typeof vm.runtime.startHats === 'function') {
+            vm.runtime.startHats(`${this.id}_whenTypewriterDone`);
           }
+        } catch (err) {}
+      }
+      tw.resolve();
+    }
+
+    // Any click or keypress on the page finishes every running typewriter line,
+    // except typing into the console's own input or search field.
+    // The page listeners are only attached while a typewriter line is running and skipping is on.
+    _updateTypewriterSkip () {
+      const wanted = this._typewriterSkip && this._typewriters.length > 0;
+      if (!wanted) {
+        if (this._typewriterSkipHandler) {
+          document.removeEventListener('pointerdown', this._typewriterSkipHandler, true);
+          document.removeEventListener('keydown', this._typewriterSkipHandler, true);
+          this._typewriterSkipHandler = null;
         }
-      }, 500);
+        return;
+      }
+      if (this._typewriterSkipHandler) return;
+      this._typewriterSkipHandler = (e) => {
+        if (!this._typewriterSkip || !this._typewriters.length) return;
+        if (e.type === 'keydown') {
+          if (e.repeat || ['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+          const t = e.target;
+          if (t && (t === this.inputField || (t.closest && t.closest('.console-search-bar')))) return;
+        }
+        this.finishTypewriter();
+      };
+      document.addEventListener('pointerdown', this._typewriterSkipHandler, true);
+      document.addEventListener('keydown', this._typewriterSkipHandler, true);
     }
-    
-    _stopDots () {
-      if (this._dotsInterval) clearInterval(this._dotsInterval);
-      this._dotsInterval = null;
 
-      const idx = this._consoleCache.findIndex(e => e.type === 'dots');
-      if (idx !== -1) {
-        this.removeLine({ INDEX: this._getVisualIndex(idx) });
+    logTypewriter (args) { this._startTypewriter(args); }
+
+    logTypewriterAndWait (args) {
+      const tw = this._startTypewriter(args);
+      return tw ? tw.done : undefined;
+    }
+
+    finishTypewriter () {
+      for (const tw of this._typewriters.slice()) this._revealTypewriter(tw, Infinity);
+    }
+
+    setTypewriterSkip (args) {
+      this._typewriterSkip = !!args.ENABLED;
+      this._updateTypewriterSkip();
+    }
+
+    whenTypewriterDone (args, util) {
+      try {
+        const tid = util?.target?.id ?? 'global';
+        return this._consumeHatEvent(`whenTypewriterDone:${tid}`, this._typewriterEventId);
+      } catch (e) {
+        return false;
       }
     }
 
+    isTyping () { return this._typewriters.length > 0; }
+
     removeLine (args) {
       const visibleIndex = Math.floor(Number(args.INDEX) || 1);
       const idx = this._getRealIndex(visibleIndex);
       if (idx === -1) return;
+      this._removeCacheEntries([idx]);
+    }
 
+    // Removes the entries at these cache indices and re-renders once, keeping the scroll position
+    _removeCacheEntries (indices) {
+      if (!indices.length) return;
+      const prevScroll = this.logArea ? (this.logArea.scrollTop || 0) : 0;
+      // Highest index first, so the remaining indices stay valid
+      for (const idx of [...indices].sort((a, b) => b - a)) this._removeCacheEntry(idx);
       if (this.logArea) {
-        const prevScroll = this.logArea.scrollTop || 0;
-        const entry = this._consoleCache[idx];
-        const el = this.logArea.querySelector(`[data-id="${entry.id}"]`);
+        this._renderVirtualWindow();
+        if (this.logArea.scrollHeight) this.logArea.scrollTop = prevScroll;
+      }
+      if (this._search.query) this._runSearch();
+    }
+
+    // ---- editing lines ----
+    // Edits only touch _consoleCache; the virtual window puts the DOM nodes back in cache order.
+    _afterLinesEdited (fromIdx) {
+      this._invalidateOffsets(fromIdx);
+      if (this.logArea) this._renderVirtualWindow();
+      if (this._search.query) this._runSearch();
+    }
+
+    // How many cache entries line idx occupies (an image owns the auto spacing after it)
+    _lineSpan (idx) {
+      const next = this._consoleCache[idx + 1];
+      return (next && next.type === 'spacing' && next.isAutoSpacing) ? 2 : 1;
+    }
 
+    insertLine (args) {
+      const text = String(args.TEXT ?? '');
+      if (!text) return;
+      const target = Math.max(1, Math.floor(Number(args.INDEX) || 1));
+      if (target > this._countLines()) {
+        this._log(text, args.COLOR);
+        return;
+      }
+      if (!this._makeRoomForLine()) return;
+      // Eviction may have shifted the lines, so look the position up afterwards
+      let idx = this._getRealIndex(target);
+      if (idx === -1) idx = this._consoleCache.length;
+      const entry = { id: this._nextId++, type: 'text', ts: Date.now(), text, colorRaw: String(args.COLOR || '#FFFFFF') };
+      // The new line joins the groups of the line it is inserted before
+      const next = this._consoleCache[idx];
+      if (next && next.groups) entry.groups = [...next.groups];
+      this._consoleCache.splice(idx, 0, entry);
+      this._lineCount++;
+      this._invalidateOffsets(idx);
+      if (this._search.query) this._runSearch();
+      this._addLineToDOM(entry, true);
+    }
+
+    // The line keeps its timestamp, color, level, handle, tags, groups and style, and becomes plain text.
+    // It gets a new id, so typewriters and live animations on the old content stop with it.
+    replaceLine (args) {
+      const idx = this._getRealIndex(Math.floor(Number(args.INDEX) || 1));
+      if (idx === -1) return;
+      const old = this._consoleCache[idx];
+      const entry = { id: this._nextId++, type: 'text', ts: old.ts, text: String(args.TEXT ?? ''), colorRaw: old.colorRaw };
+      for (const key of ['level', 'buttonId', 'handle', 'tags', 'meta', 'groups', 'customFont', 'customSize', 'customAlign']) {
+        if (old[key] !== undefined) entry[key] = old[key];
+      }
+      for (const e of this._consoleCache.splice(idx, this._lineSpan(idx), entry)) this._virtual.heights.delete(e.id);
+      if (this._dotsEntry === old) this._dotsEntry = null;
+      if (old.type === 'group' && this._collapsedGroups.delete(old.groupId)) this._syncHiddenLines();
+      this._afterLinesEdited(idx);
+    }
+
+    moveLine (args) {
+      const from = this._getRealIndex(Math.floor(Number(args.FROM) || 1));
+      if (from === -1) return;
+      const to = Math.min(this._countLines(), Math.max(1, Math.floor(Number(args.TO) || 1)));
+      const moved = this._consoleCache.splice(from, this._lineSpan(from));
+      // Inserting before the line now at `to` leaves the moved line at position `to`
+      let idx = this._getRealIndex(to);
+      if (idx === -1) idx = this._consoleCache.length;
+      // Like an inserted line, it joins the groups of the line it now precedes (the open groups at the end);
+      // a moved group header never ends up inside itself
+      const next = this._consoleCache[idx];
+      let groups = (next ? next.groups : this._groupStack) || [];
+      const own = moved[0].type === 'group' ? groups.indexOf(moved[0].groupId) : -1;
+      if (own !== -1) groups = groups.slice(0, own);
+      for (const entry of moved) {
+        if (groups.length) entry.groups = [...groups];
+        else delete entry.groups;
+      }
+      this._consoleCache.splice(idx, 0, ...moved);
+      this._syncHiddenLines();
+      this._afterLinesEdited(Math.min(from, idx));
+    }
+
+    getLineText (args) {
+      const entry = this._getLineEntry(args.INDEX);
+      return entry ? this._getEntryPlainText(entry) : '';
+    }
+
+    // Removes the entry at cache index idx together with the auto spacing that follows it.
+    // Returns the height the removed entries occupied in the log.
+    _removeCacheEntry (idx) {
+      const entry = this._consoleCache[idx];
+      if (!entry) return 0;
+      const count = this._lineSpan(idx);
+      const offsets = this._ensureOffsets();
+      const removedHeight = offsets[idx + count] - offsets[idx];
+
+      if (entry.type === 'group' && this._collapsedGroups.delete(entry.groupId)) this._syncHiddenLines();
+      if (entry.type !== 'spacing') this._lineCount--;
+      for (const e of this._consoleCache.splice(idx, count)) {
+        this._virtual.heights.delete(e.id);
+        if (!this.logArea) continue;
+        const el = this.logArea.querySelector(`[data-id="${e.id}"]`);
         if (el) {
-          if (this._io) try { this._io.unobserve(el); } catch (e) {}
+          if (this._io) try { this._io.unobserve(el); } catch (err) {}
           this._visibleSet.delete(el);
           el.remove();
         }
-        
-        if (this._consoleCache[idx+1] && this._consoleCache[idx+1].type === 'spacing' && this._consoleCache[idx+1].isAutoSpacing) {
-           const spacingEntry = this._consoleCache[idx+1];
-           const spacingEl = this.logArea.querySelector(`[data-id="${spacingEntry.id}"]`);
-           if (spacingEl) spacingEl.remove();
-           this._consoleCache.splice(idx+1, 1);
+      }
+      this._invalidateOffsets(idx);
+      return removedHeight;
+    }
+
+    // ---- line buffer ----
+    // Spacing entries never count; _lineCount is kept up to date wherever lines are added or removed
+    _countLines () {
+      return this._lineCount;
+    }
+
+    _recountLines () {
+      let count = 0;
+      for (const e of this._consoleCache) if (e.type !== 'spacing') count++;
+      this._lineCount = count;
+    }
+
+    // Applies the overflow policy before a new line is stored.
+    // Returns false when the incoming line should be discarded.
+    // 'drop newest' overwrites the last stored line, so the bottom line always shows the latest output;
+    // 'ignore' freezes the log and discards the incoming line instead.
+    // The caller renders the incoming line, which also redraws the window after eviction.
+    _makeRoomForLine () {
+      if (this._maxLines <= 0 || this._lineCount < this._maxLines) return true;
+      const excess = this._lineCount - this._maxLines + 1;
+
+      if (this._overflowPolicy === 'ignore') {
+        this._evictedCount++;
+        return false;
+      }
+
+      const removedIds = new Set();
+      if (this._overflowPolicy === 'drop oldest') {
+        this._evictOldest(excess, removedIds);
+      } else {
+        for (let n = 0; n < excess; n++) {
+          let idx = this._consoleCache.length - 1;
+          while (idx >= 0 && this._consoleCache[idx].type === 'spacing') idx--;
+          if (idx === -1) break;
+          removedIds.add(this._consoleCache[idx].id);
+          this._removeCacheEntry(idx);
+          this._evictedCount++;
         }
-        
-        this._consoleCache.splice(idx, 1);
-        
-        if (this.logArea.scrollHeight) this.logArea.scrollTop = prevScroll; 
+      }
+      if (this._search.query) this._dropSearchMatches(removedIds);
+      return true;
+    }
+
+    // Drops the oldest `count` lines (and the spacing between them) in one splice.
+    // Offsets are shifted rather than re-measured, and the DOM catches up on the next render.
+    _evictOldest (count, removedIds) {
+      const cache = this._consoleCache;
+      let cut = 0;
+      let lines = 0;
+      while (cut < cache.length && lines < count) {
+        if (cache[cut].type !== 'spacing') lines++;
+        cut++;
+      }
+      // The last evicted line takes its auto spacing with it
+      if (cache[cut] && cache[cut].type === 'spacing' && cache[cut].isAutoSpacing) cut++;
+      if (!cut) return;
+
+      const v = this._virtual;
+      const offsets = this._ensureOffsets();
+      const removedAbove = offsets[cut];
+      let removedGroup = false;
+      for (const e of cache.splice(0, cut)) {
+        removedIds.add(e.id);
+        this._virtual.heights.delete(e.id);
+        if (e.type === 'group') removedGroup = true;
+      }
+      this._lineCount -= lines;
+      this._evictedCount += lines;
+      v.offsets = offsets.slice(cut).map(o => o - removedAbove);
+      v.validUpTo = cache.length;
+      if (this.logArea) v.scrollShift += removedAbove;
+      if (removedGroup) {
+        // Lines of an evicted collapsed group show again, so their offsets move
+        this._invalidateOffsets(0);
+        this._pruneCollapsedGroups();
+        this._syncHiddenLines();
+      }
+    }
+
+    // Drops lines beyond the limit in one pass (used when loading or lowering the limit).
+    _trimCacheToMaxLines () {
+      if (this._maxLines <= 0) return false;
+      const excess = this._countLines() - this._maxLines;
+      if (excess <= 0) return false;
+
+      const keepFromStart = this._overflowPolicy !== 'drop oldest';
+      let seen = 0;
+      let cut = -1;
+      if (keepFromStart) {
+        for (let i = 0; i < this._consoleCache.length; i++) {
+          if (this._consoleCache[i].type === 'spacing') continue;
+          if (++seen > this._maxLines) { cut = i; break; }
+        }
+        this._consoleCache = this._consoleCache.slice(0, cut);
       } else {
-        if (this._consoleCache[idx+1] && this._consoleCache[idx+1].type === 'spacing' && this._consoleCache[idx+1].isAutoSpacing) {
-            this._consoleCache.splice(idx+1, 1);
+        for (let i = this._consoleCache.length - 1; i >= 0; i--) {
+          if (this._consoleCache[i].type === 'spacing') continue;
+          if (++seen > this._maxLines) { cut = i; break; }
+        }
+        // The evicted line takes its auto spacing with it
+        let next = cut + 1;
+        if (this._consoleCache[next] && this._consoleCache[next].type === 'spacing' && this._consoleCache[next].isAutoSpacing) next++;
+        this._consoleCache = this._consoleCache.slice(next);
+      }
+      this._lineCount -= excess;
+      this._evictedCount += excess;
+      this._pruneCollapsedGroups();
+      return true;
+    }
+
+    setMaxLines (args) {
+      const policy = String(args.POLICY || '').toLowerCase();
+      this._maxLines = Math.max(0, Math.floor(Number(args.MAX) || 0));
+      this._overflowPolicy = ['drop oldest', 'drop newest', 'ignore'].includes(policy) ? policy : 'drop oldest';
+      if (this._trimCacheToMaxLines()) {
+        if (this._dotsEntry && !this._consoleCache.includes(this._dotsEntry)) this._dotsEntry = null;
+        if (this._search.query) this._runSearch();
+        this._restoreConsoleCache();
+      }
+    }
+
+    getMaxLines () { return this._maxLines; }
+
+    getEvictedCount () { return this._evictedCount; }
+
+    _getVisualIndex(cacheIndex) {
+        let count = 0;
+        for (let i = 0; i <= cacheIndex; i++) {
+            if (this._consoleCache[i].type !== 'spacing') {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    _addSpacing (h, isAuto = false) {
+      const lastEntry = this._consoleCache[this._consoleCache.length - 1];
+      if (lastEntry && lastEntry.type === 'spacing' && lastEntry.isAutoSpacing) {
+        lastEntry.spacingHeight = h; 
+        if (this.logArea) {
+            const el = this.logArea.querySelector(`[data-id="${lastEntry.id}"]`);
+            if (el) el.style.marginTop = `${h}px`;
+            this._invalidateEntry(this._consoleCache.length - 1);
+        }
+        return;
+      }
+      if (h === 0) return; 
+      const entry = { id: this._nextId++, type: 'spacing', spacingHeight: h, isAutoSpacing: isAuto };
+      if (this._groupStack.length) entry.groups = [...this._groupStack];
+      this._consoleCache.push(entry);
+      if (this._dotsEntry) this._stopDots();
+      this._addLineToDOM(entry);
+    }
+
+    _getRealIndex(visualIndex) {
+      let count = 0;
+      for (let i = 0; i < this._consoleCache.length; i++) {
+        if (this._consoleCache[i].type !== 'spacing') {
+          count++;
+          if (count === visualIndex) return i;
+        }
+      }
+      return -1;
+    }
+
+    styleLine (args) {
+      const visibleIndex = Math.floor(Number(args.INDEX) || 1);
+      const idx = this._getRealIndex(visibleIndex);
+      if (idx === -1) return;
+
+      const entry = this._consoleCache[idx];
+      entry.customFont = String(args.FONT || '');
+      entry.customSize = Number(args.SIZE) || 1;
+      entry.customAlign = String(args.ALIGN || '').toLowerCase();
+
+      if (this.logArea) {
+        const el = this.logArea.querySelector(`[data-id="${entry.id}"]`);
+        if (el) {
+          this._applyLineStyle(el, entry);
+          this._resizeDynamicSizes();
+        }
+        this._invalidateEntry(idx);
+      }
+    }
+
+    resetLineStyle (args) {
+      const visibleIndex = Math.floor(Number(args.INDEX) || 1);
+      const idx = this._getRealIndex(visibleIndex);
+      if (idx === -1) return;
+
+      const entry = this._consoleCache[idx];
+      delete entry.customFont;
+      delete entry.customSize;
+      delete entry.customAlign;
+
+      if (this.logArea) {
+        const el = this.logArea.querySelector(`[data-id="${entry.id}"]`);
+        if (el) {
+          this._applyLineStyle(el, entry);
+          this._resizeDynamicSizes();
+        }
+        this._invalidateEntry(idx);
+      }
+    }
+
+    // ---- tags & metadata ----
+    // Tags match case-insensitively; a line keeps the spelling it was first tagged with.
+    _parseTags (value) {
+      const tags = [];
+      for (const raw of String(value ?? '').split(',')) {
+        const tag = raw.trim();
+        if (tag && !tags.some(t => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+      }
+      return tags;
+    }
+
+    // Metadata values are stored as strings, the same as Scratch variables
+    _cleanMeta (meta) {
+      const clean = {};
+      if (!meta || typeof meta !== 'object' || Array.isArray(meta)) return clean;
+      for (const [key, value] of Object.entries(meta)) {
+        clean[key] = (value && typeof value === 'object') ? JSON.stringify(value) : String(value ?? '');
+      }
+      return clean;
+    }
+
+    _hasTag (entry, tag) {
+      const key = String(tag ?? '').trim().toLowerCase();
+      return !!key && Array.isArray(entry.tags) && entry.tags.some(t => t.toLowerCase() === key);
+    }
+
+    // Cache indices of the lines carrying this tag, oldest first
+    _findTaggedIndices (tag) {
+      const indices = [];
+      this._consoleCache.forEach((entry, i) => {
+        if (entry.type !== 'spacing' && this._hasTag(entry, tag)) indices.push(i);
+      });
+      return indices;
+    }
+
+    _getLineEntry (visualIndex) {
+      return this._consoleCache[this._getRealIndex(Math.floor(Number(visualIndex) || 1))];
+    }
+
+    // Applies `change` to the entries at these cache indices, then re-renders them in one pass
+    _restyleEntries (indices, change) {
+      if (!indices.length) return;
+      for (const idx of indices) {
+        const entry = this._consoleCache[idx];
+        change(entry);
+        this._virtual.heights.delete(entry.id);
+        this._refreshLineElement(idx);
+      }
+      this._invalidateOffsets(Math.min(...indices));
+      this._renderVirtualWindow();
+    }
+
+    logTagged (args) {
+      let meta = {};
+      try { meta = this._cleanMeta(JSON.parse(String(args.META ?? '').trim() || '{}')); } catch (e) {}
+      const tags = this._parseTags(args.TAGS);
+      const fields = {};
+      if (tags.length) fields.tags = tags;
+      if (Object.keys(meta).length) fields.meta = meta;
+      this._log(args.TEXT, args.COLOR, 'text', fields);
+    }
+
+    tagLine (args) {
+      const entry = this._getLineEntry(args.INDEX);
+      if (!entry) return;
+      const tags = this._parseTags([...(entry.tags || []), ...this._parseTags(args.TAGS)].join(','));
+      if (tags.length) entry.tags = tags;
+    }
+
+    untagLine (args) {
+      const entry = this._getLineEntry(args.INDEX);
+      if (!entry || !this._hasTag(entry, args.TAG)) return;
+      const key = String(args.TAG).trim().toLowerCase();
+      entry.tags = entry.tags.filter(t => t.toLowerCase() !== key);
+      if (!entry.tags.length) delete entry.tags;
+    }
+
+    setLineMeta (args) {
+      const entry = this._getLineEntry(args.INDEX);
+      const key = String(args.KEY ?? '').trim();
+      if (!entry || !key) return;
+      entry.meta = Object.assign({}, entry.meta, { [key]: String(args.VALUE ?? '') });
+    }
+
+    getLineMeta (args) {
+      const entry = this._getLineEntry(args.INDEX);
+      const key = String(args.KEY ?? '').trim();
+      if (!entry || !entry.meta || !Object.prototype.hasOwnProperty.call(entry.meta, key)) return '';
+      return entry.meta[key];
+    }
+
+    getLineTags (args) {
+      const entry = this._getLineEntry(args.INDEX);
+      return JSON.stringify(entry && entry.tags ? entry.tags : []);
+    }
+
+    getTaggedLines (args) {
+      const asText = String(args.FORMAT || '').toLowerCase() === 'text';
+      const out = [];
+      let line = 0;
+      for (const entry of this._consoleCache) {
+        if (entry.type === 'spacing') continue;
+        line++;
+        if (this._hasTag(entry, args.TAG)) out.push(asText ? this._getEntryPlainText(entry) : line);
+      }
+      return JSON.stringify(out);
+    }
+
+    countTaggedLines (args) { return this._findTaggedIndices(args.TAG).length; }
+
+    removeTaggedLines (args) { this._removeCacheEntries(this._findTaggedIndices(args.TAG)); }
+
+    styleTaggedLines (args) {
+      const font = String(args.FONT || '');
+      const size = Number(args.SIZE) || 1;
+      const align = String(args.ALIGN || '').toLowerCase();
+      this._restyleEntries(this._findTaggedIndices(args.TAG), (entry) => {
+        entry.customFont = font;
+        entry.customSize = size;
+        entry.customAlign = align;
+      });
+    }
+
+    colorTaggedLines (args) {
+      const colorRaw = String(args.COLOR || '#FFFFFF');
+      this._restyleEntries(this._findTaggedIndices(args.TAG), (entry) => { entry.colorRaw = colorRaw; });
+    }
+
+    // ---- groups ----
+    // Lines store the ids of the groups they were logged in (outermost first); a group header
+    // stores its own id in groupId and whether it is collapsed.
+    _isInCollapsedGroup (entry) {
+      if (!this._collapsedGroups.size || !entry || !entry.groups) return false;
+      return entry.groups.some(id => this._collapsedGroups.has(id));
+    }
+
+    _normalizeSavedGroups (groups) {
+      return Array.isArray(groups) && groups.length ? groups.map(String) : undefined;
+    }
+
+    // Rebuilds group state from the headers in the cache (after loading saved lines)
+    _resetGroups () {
+      this._groupStack = [];
+      this._collapsedGroups = new Set();
+      let maxId = 0;
+      for (const entry of this._consoleCache) {
+        if (entry.type !== 'group') continue;
+        if (entry.collapsed) this._collapsedGroups.add(entry.groupId);
+        const n = Number(entry.groupId);
+        if (Number.isFinite(n)) maxId = Math.max(maxId, n);
+      }
+      this._nextGroupId = maxId + 1;
+    }
+
+    // A collapsed id whose header is gone would hide its lines for good
+    _pruneCollapsedGroups () {
+      if (!this._collapsedGroups.size) return;
+      const live = new Set(this._consoleCache.filter(e => e.type === 'group' && e.collapsed).map(e => e.groupId));
+      for (const id of Array.from(this._collapsedGroups)) {
+        if (!live.has(id)) this._collapsedGroups.delete(id);
+      }
+    }
+
+    // Re-applies level filters and collapsed groups to the rendered lines
+    _syncHiddenLines () {
+      if (!this.logArea) return;
+      const byId = new Map(this._consoleCache.map(e => [String(e.id), e]));
+      for (const ch of Array.from(this.logArea.children)) {
+        const entry = byId.get(ch.dataset.id);
+        if (entry) ch.classList.toggle('console-line-filtered', this._isEntryHidden(entry));
+      }
+    }
+
+    _renderGroupHeader (msgSpan, entry) {
+      const toggle = document.createElement('span');
+      toggle.className = 'console-tree-toggle' + (this._collapsedGroups.has(entry.groupId) ? '' : ' open');
+      msgSpan.appendChild(toggle);
+      const title = document.createElement('span');
+      title.className = 'console-group-title';
+      title.textContent = entry.text;
+      title.style.fontFamily = this.style.fontText;
+      msgSpan.appendChild(title);
+      this._applyInlineTextColor(msgSpan, this._entryColor(entry));
+    }
+
+    // Collapses or expands the group headers at these cache indices
+    _setGroupsCollapsed (indices, collapsed) {
+      const changed = indices.filter(idx => !!this._consoleCache[idx].collapsed !== collapsed);
+      if (!changed.length) return;
+      for (const idx of changed) {
+        const entry = this._consoleCache[idx];
+        if (collapsed) {
+          entry.collapsed = true;
+          this._collapsedGroups.add(entry.groupId);
+        } else {
+          delete entry.collapsed;
+          this._collapsedGroups.delete(entry.groupId);
+        }
+        this._refreshLineElement(idx);
+      }
+      this._syncHiddenLines();
+      this._invalidateOffsets(Math.min(...changed));
+      this._renderVirtualWindow();
+      if (this._search.query) this._runSearch();
+    }
+
+    _toggleGroup (entryId) {
+      const idx = this._consoleCache.findIndex(e => String(e.id) === String(entryId));
+      const entry = this._consoleCache[idx];
+      if (entry && entry.type === 'group') this._setGroupsCollapsed([idx], !entry.collapsed);
+    }
+
+    _beginGroup (args, collapsed) {
+      const groupId = String(this._nextGroupId++);
+      this._log(String(args.TITLE ?? ''), args.COLOR, 'group', collapsed ? { groupId, collapsed } : { groupId });
+      this._groupStack.push(groupId);
+    }
+
+    beginGroup (args) { this._beginGroup(args, false); }
+
+    beginCollapsedGroup (args) { this._beginGroup(args, true); }
+
+    endGroup () { this._groupStack.pop(); }
+
+    setAllGroupsCollapsed (args) {
+      const indices = [];
+      this._consoleCache.forEach((entry, i) => { if (entry.type === 'group') indices.push(i); });
+      this._setGroupsCollapsed(indices, String(args.ACTION || '').toLowerCase() === 'collapse');
+    }
+
+    // Acts on the most recent group with this title, ignoring case
+    setGroupCollapsed (args) {
+      const title = String(args.TITLE ?? '').trim().toLowerCase();
+      for (let i = this._consoleCache.length - 1; i >= 0; i--) {
+        const entry = this._consoleCache[i];
+        if (entry.type !== 'group' || String(entry.text).trim().toLowerCase() !== title) continue;
+        this._setGroupsCollapsed([i], String(args.ACTION || '').toLowerCase() === 'collapse');
+        return;
+      }
+    }
+
+    getGroupDepth () { return this._groupStack.length; }
+
+    getConsoleAsArray () {
+      try {
+        const savable = this._consoleCache.filter(e => !e.isAutoSpacing);
+        return JSON.stringify(savable);
+      } catch (e) { return '[]'; }
+    }
+
+    // One saved entry (as produced by getConsoleAsArray) as cache fields, without an id
+    _normalizeSavedEntry (e) {
+      const base = {
+        type: e.type || 'text',
+        ts: e.ts ? Number(e.ts) : Date.now(),
+      };
+
+      if (base.type === 'spacing') {
+        return Object.assign(base, {
+          spacingHeight: Number(e.spacingHeight) || 0,
+          isAutoSpacing: false,
+          groups: this._normalizeSavedGroups(e.groups)
+        });
+      }
+      return Object.assign(base, {
+        text: String(e.text || ''),
+        src: e.src,
+        width: e.width,
+        height: e.height,
+        roundness: e.roundness,
+        colorRaw: (e.colorRaw || !this._normalizeLevel(e.level)) ? String(e.colorRaw || '#FFFFFF') : undefined,
+        customFont: e.customFont,
+        customSize: e.customSize,
+        customAlign: e.customAlign,
+        level: this._normalizeLevel(e.level) || undefined,
+        markup: e.markup ? true : undefined,
+        buttonId: e.buttonId !== undefined && e.buttonId !== null ? String(e.buttonId) : undefined,
+        handle: e.handle !== undefined && e.handle !== null ? String(e.handle) : undefined,
+        progress: base.type === 'progress' ? this._clampProgress(e.progress) : undefined,
+        expanded: Array.isArray(e.expanded) ? e.expanded.map(String) : undefined,
+        tags: Array.isArray(e.tags) && e.tags.length ? this._parseTags(e.tags.map(String).join(',')) : undefined,
+        meta: e.meta && typeof e.meta === 'object' && !Array.isArray(e.meta) ? this._cleanMeta(e.meta) : undefined,
+        groups: this._normalizeSavedGroups(e.groups),
+        groupId: base.type === 'group' ? String(e.groupId ?? '') : undefined,
+        collapsed: base.type === 'group' && e.collapsed ? true : undefined
+      });
+    }
+
+    _loadSavedEntries (entries) {
+      this._consoleCache = [];
+      this._nextId = 1;
+
+      for (const saved of entries) {
+        const entry = Object.assign({ id: this._nextId++ }, saved);
+        this._consoleCache.push(entry);
+
+        if (entry.type === 'image' && (entry.width > 0 || entry.height > 0)) {
+            this._consoleCache.push({ id: this._nextId++, type: 'spacing', spacingHeight: 10, isAutoSpacing: true, groups: entry.groups });
+        }
+      }
+      this._recountLines();
+      this._resetGroups();
+      this._trimCacheToMaxLines();
+      this._dotsEntry = null;
+      if (this._search.query) this._runSearch();
+      this._restoreConsoleCache();
+    }
+
+    setConsoleFromArray (args) {
+      try {
+        const arr = JSON.parse(String(args.ARRAY || '[]'));
+        if (!Array.isArray(arr)) return;
+        this._loadSavedEntries(arr.map(e => this._normalizeSavedEntry(e)));
+      } catch (e) {}
+    }
+
+    // ---- replay ----
+    // A replay runs a clock in log time (ms since the first saved entry). Pausing, seeking and
+    // changing speed only move that clock, so the remaining delays keep the original timing.
+    _replayClock (r = this._replay) {
+      return r.paused ? r.clock : r.clock + (Date.now() - r.clockAt) * r.speed;
+    }
+
+    _normalizeReplaySpeed (speed) {
+      const n = Number(speed);
+      return Number.isFinite(n) && n > 0 ? Math.min(n, 1000) : 1;
+    }
+
+    _scheduleReplay () {
+      const r = this._replay;
+      if (r.timer) clearTimeout(r.timer);
+      r.timer = null;
+      if (r.paused || r.index >= r.entries.length) return;
+      const wait = Math.max(0, (r.offsets[r.index] - this._replayClock(r)) / r.speed);
+      r.timer = setTimeout(this._paneHandler(() => this._stepReplay(r)), wait);
+    }
+
+    _stepReplay (r) {
+      if (this._replay !== r) return;
+      r.timer = null;
+      const clock = this._replayClock(r);
+      while (r.index < r.entries.length && r.offsets[r.index] <= clock) {
+        this._emitReplayEntry(r.entries[r.index++]);
+      }
+      this._scheduleReplay();
+    }
+
+    // Replayed lines go through the normal log path, stamped with the time they reappear.
+    _emitReplayEntry (saved) {
+      const { type, ts, text, colorRaw, ...fields } = saved;
+      if (type === 'spacing') {
+        this._addSpacing(fields.spacingHeight);
+        return;
+      }
+      this._log(text, colorRaw, type, fields);
+      const entry = this._consoleCache[this._consoleCache.length - 1];
+      if (entry && entry.type === 'dots') this._dotsEntry = entry;
+      // Groups begun after the replay must not reuse a replayed group's id
+      const groupId = Number(fields.groupId);
+      if (type === 'group' && Number.isFinite(groupId)) this._nextGroupId = Math.max(this._nextGroupId, groupId + 1);
+      this._lastReplayedText = type === 'image' ? String(fields.src || '') : text;
+      this._replayEventId++;
+      try {
+        if (typeof vm !== 'undefined' && vm && vm.runtime && typeof vm.runtime.startHats === 'function') {
+          vm.runtime.startHats(`${this.id}_whenReplayLine`);
+        }
+      } catch (err) {}
+    }
+
+    _stopReplay () {
+      if (!this._replay) return;
+      if (this._replay.timer) clearTimeout(this._replay.timer);
+      this._replay = null;
+    }
+
+    replayConsole (args) {
+      let arr;
+      try {
+        arr = JSON.parse(String(args.ARRAY || '[]'));
+      } catch (e) {
+        return;
+      }
+      if (!Array.isArray(arr)) return;
+      this._stopReplay();
+
+      const entries = [];
+      const offsets = [];
+      let first = null;
+      let last = 0;
+      for (const e of arr) {
+        if (!e || typeof e !== 'object') continue;
+        // Entries without a usable ts (or out of order) follow the previous one immediately
+        const ts = Number(e.ts);
+        if (ts > 0 && first === null) first = ts;
+        if (ts > 0) last = Math.max(last, ts - first);
+        entries.push(this._normalizeSavedEntry(e));
+        offsets.push(last);
+      }
+
+      this.clearConsole();
+      this._replay = {
+        entries, offsets, index: 0,
+        speed: this._normalizeReplaySpeed(args.SPEED),
+        clock: 0, clockAt: Date.now(), paused: false, timer: null
+      };
+      this._stepReplay(this._replay);
+    }
+
+    setReplayState (args) {
+      const r = this._replay;
+      if (!r) return;
+      const action = String(args.ACTION || '').toLowerCase();
+      if (action === 'stop') {
+        this._stopReplay();
+      } else if (action === 'pause' && !r.paused) {
+        r.clock = this._replayClock(r);
+        r.paused = true;
+        this._scheduleReplay();
+      } else if (action === 'resume' && r.paused) {
+        r.clockAt = Date.now();
+        r.paused = false;
+        this._scheduleReplay();
+      }
+    }
+
+    setReplaySpeed (args) {
+      const r = this._replay;
+      if (!r) return;
+      r.clock = this._replayClock(r);
+      r.clockAt = Date.now();
+      r.speed = this._normalizeReplaySpeed(args.SPEED);
+      this._scheduleReplay();
+    }
+
+    // Seeking rebuilds the console from the replayed lines up to the new position without firing the hat.
+    seekReplay (args) {
+      const r = this._replay;
+      if (!r) return;
+      const pos = Number(args.POSITION) || 0;
+      let count, clock;
+      if (String(args.UNIT || '').toLowerCase() === 'second') {
+        clock = Math.max(0, pos * 1000);
+        count = r.offsets.filter(o => o <= clock).length;
+      } else {
+        count = Math.max(0, Math.min(r.entries.length, Math.round(pos)));
+        clock = count > 0 ? r.offsets[count - 1] : 0;
+      }
+
+      const now = Date.now();
+      this._loadSavedEntries(r.entries.slice(0, count).map((e, i) => (
+        Object.assign({}, e, { ts: Math.round(now - (clock - r.offsets[i]) / r.speed) })
+      )));
+      r.index = count;
+      r.clock = clock;
+      r.clockAt = now;
+      this._scheduleReplay();
+    }
+
+    whenReplayLine (args, util) {
+      try {
+        const tid = util?.target?.id ?? 'global';
+        return this._consumeHatEvent(`whenReplayLine:${tid}`, this._replayEventId);
+      } catch (e) {
+        return false;
+      }
+    }
+
+    getReplayLine () { return this._lastReplayedText; }
+    getReplayPosition () { return this._replay ? this._replay.index : 0; }
+    getReplayLength () { return this._replay ? this._replay.entries.length : 0; }
+
+    getReplayTime () {
+      const r = this._replay;
+      if (!r) return 0;
+      // A finished replay stays on its last line instead of counting on
+      const end = r.offsets.length ? r.offsets[r.offsets.length - 1] : 0;
+      const clock = r.index >= r.entries.length ? end : this._replayClock(r);
+      return Math.round(clock) / 1000;
+    }
+
+    isReplaying () {
+      const r = this._replay;
+      return !!r && !r.paused && r.index < r.entries.length;
+    }
+
+    // ---- runtime taps ----
+    // A tap logs into the console that was current when it was turned on. The runtime has no
+    // broadcast or thread error events, so those taps wrap runtime.startHats and sequencer.stepThread;
+    // a wrapper that cannot be unhooked (something wrapped it again) just goes quiet.
+    _runtimeTapNames = ['say and think', 'broadcasts', 'start and stop', 'errors'];
+
+    // `before` sees the arguments of every call; `onError` sees what a call throws, which is then rethrown.
+    _wrapMethod (owner, key, before, onError) {
+      const original = owner[key];
+      let active = true;
+      const wrapped = function (...a) {
+        if (active && before) try { before(...a); } catch (e) {}
+        if (!active || !onError) return original.apply(this, a);
+        try {
+          return original.apply(this, a);
+        } catch (error) {
+          try { onError(error, ...a); } catch (e) {}
+          throw error;
+        }
+      };
+      owner[key] = wrapped;
+      return () => {
+        active = false;
+        if (owner[key] === wrapped) owner[key] = original;
+      };
+    }
+
+    _describeErrorArg (value) {
+      if (value && typeof value === 'object') {
+        if (value instanceof Error || typeof value.message === 'string') return value.message || String(value);
+        try { return JSON.stringify(value); } catch (e) { return String(value); }
+      }
+      return String(value);
+    }
+
+    _startRuntimeTap (tap, runtime) {
+      const log = this._paneHandler((level, text) => this._log(text, undefined, 'text', { level }));
+      const listen = (event, fn) => {
+        runtime.on(event, fn);
+        return () => runtime.removeListener(event, fn);
+      };
+
+      if (tap === 'say and think') {
+        return listen('SAY', (target, type, text) => {
+          if (text === undefined || text === null || String(text) === '') return;
+          const name = target && typeof target.getName === 'function' ? target.getName() : 'Sprite';
+          log('info', `${name} ${type === 'think' ? 'thinks' : 'says'}: ${text}`);
+        });
+      }
+      if (tap === 'broadcasts') {
+        return this._wrapMethod(runtime, 'startHats', (opcode, fields) => {
+          if (opcode === 'event_whenbroadcastreceived' && fields) log('debug', `broadcast: ${fields.BROADCAST_OPTION}`);
+        });
+      }
+      if (tap === 'start and stop') {
+        const offStart = listen('PROJECT_START', () => log('info', 'project started'));
+        const offStop = listen('PROJECT_STOP_ALL', () => log('info', 'project stopped'));
+        return () => { offStart(); offStop(); };
+      }
+
+      // errors: scripts that throw while running, and scripts the compiler rejects
+      const targetName = (target) => (target && typeof target.getName === 'function' ? target.getName() : 'Sprite');
+      const offCompile = listen('COMPILE_ERROR', (target, error) => {
+        log('error', `${targetName(target)} could not compile: ${this._describeErrorArg(error)}`);
+      });
+      const sequencer = runtime.sequencer;
+      const offStep = (sequencer && typeof sequencer.stepThread === 'function')
+        ? this._wrapMethod(sequencer, 'stepThread', null, (error, thread) => log('error', `${targetName(thread && thread.target)}: ${this._describeErrorArg(error)}`))
+        : () => {};
+      return () => { offCompile(); offStep(); };
+    }
+
+    setRuntimeTap (args) {
+      const tap = String(args.TAP || '').toLowerCase();
+      if (!this._runtimeTapNames.includes(tap)) return;
+      if (this._runtimeTaps.has(tap)) {
+        this._runtimeTaps.get(tap)();
+        this._runtimeTaps.delete(tap);
+      }
+      if (!args.ENABLED) return;
+      const runtime = this._getRuntime();
+      if (!runtime) return;
+      this._runtimeTaps.set(tap, this._startRuntimeTap(tap, runtime));
+    }
+
+    // ---- variable watches ----
+    // Watches are checked after every runtime step and log a line when the value changes.
+    _normalizeWatchTarget (target) {
+      const name = String(target ?? '').trim();
+      return (!name || name.toLowerCase() === 'stage') ? 'Stage' : name;
+    }
+
+    _getStageTarget () {
+      const runtime = this._getRuntime();
+      return runtime && typeof runtime.getTargetForStage === 'function' ? runtime.getTargetForStage() : null;
+    }
+
+    // Original sprite by name, ignoring case; "Stage" is the stage
+    _findTargetByName (name) {
+      const runtime = this._getRuntime();
+      if (!runtime) return null;
+      const key = String(name ?? '').trim().toLowerCase();
+      if (key === 'stage') return this._getStageTarget();
+      return (runtime.targets || []).find(t => t.isOriginal && !t.isStage && t.sprite && t.sprite.name.toLowerCase() === key) || null;
+    }
+
+    // Sprite lookups fall back to the stage, like the variable blocks do.
+    _findTargetVariable (targetName, name, types = ['', 'list']) {
+      const stage = this._getStageTarget();
+      const target = this._findTargetByName(targetName);
+      const find = (t) => (t ? Object.values(t.variables || {}).find(v => v.name === name && types.includes(v.type)) : null);
+      return find(target) || find(stage) || null;
+    }
+
+    // Lists read as JSON
+    _readWatch (watch) {
+      const variable = this._findTargetVariable(watch.target, watch.name);
+      if (!variable) return undefined;
+      return Array.isArray(variable.value) ? JSON.stringify(variable.value) : String(variable.value);
+    }
+
+    _watchLabel (watch) {
+      return watch.target === 'Stage' ? watch.name : `${watch.target}.${watch.name}`;
+    }
+
+    _logWatch (watch, text) {
+      if (!this._panes.has(watch.pane)) return;
+      this._withPane(watch.pane, () => this._log(text, undefined, 'text', { level: 'debug' }));
+    }
+
+    _checkWatches () {
+      for (const watch of this._watches.slice()) {
+        const value = this._readWatch(watch);
+        if (value === watch.last) continue;
+        if (value !== undefined) {
+          this._logWatch(watch, watch.last === undefined
+            ? `${this._watchLabel(watch)} = ${value}`
+            : `${this._watchLabel(watch)}: ${watch.last} → ${value}`);
+        }
+        watch.last = value;
+      }
+    }
+
+    _updateWatchListener () {
+      const runtime = this._getRuntime();
+      if (!runtime) return;
+      if (this._watches.length && !this._watchListener) {
+        this._watchListener = () => this._checkWatches();
+        runtime.on('AFTER_EXECUTE', this._watchListener);
+      } else if (!this._watches.length && this._watchListener) {
+        runtime.removeListener('AFTER_EXECUTE', this._watchListener);
+        this._watchListener = null;
+      }
+    }
+
+    watchVariable (args) {
+      const name = String(args.NAME ?? '');
+      const target = this._normalizeWatchTarget(args.TARGET);
+      if (!name || this._watches.some(w => w.name === name && w.target === target)) return;
+      const watch = { name, target, pane: this._loadedPane, last: undefined };
+      this._watches.push(watch);
+      // The current value is logged straight away
+      this._checkWatches();
+      this._updateWatchListener();
+    }
+
+    unwatchVariable (args) {
+      const name = String(args.NAME ?? '');
+      const target = this._normalizeWatchTarget(args.TARGET);
+      this._watches = this._watches.filter(w => !(w.name === name && w.target === target));
+      this._updateWatchListener();
+    }
+
+    clearWatches () {
+      this._watches = [];
+      this._updateWatchListener();
+    }
+
+    getWatchedVariables () {
+      return JSON.stringify(this._watches.map(w => this._watchLabel(w)));
+    }
+
+    // ---- export ----
+    // Exported logs are read later, so relative or hidden timestamps become wall-clock times.
+    _exportTimestamp (ts) {
+      const format = this._timestampFormat === '12h' ? '12h' : '24h';
+      return this._formatTimestamp(Number(ts) || Date.now(), format);
+    }
+
+    _normalizeExportFormat (format) {
+      const f = String(format || '').toLowerCase();
+      if (f === 'html') return 'html';
+      if (f === 'markdown' || f === 'md') return 'markdown';
+      if (f === 'json') return 'json';
+      return 'text';
+    }
+
+    _exportEntries () {
+      // Auto spacing only pads images on screen
+      return this._consoleCache.filter(e => !(e.type === 'spacing' && e.isAutoSpacing) && e.type !== 'dots');
+    }
+
+    _exportAsText () {
+      return this._exportEntries().map(entry => {
+        if (entry.type === 'spacing') return '';
+        const badge = entry.level && this.style.levelBadges[entry.level] ? `[${this.style.levelBadges[entry.level]}] ` : '';
+        const body = entry.type === 'image' ? `[image: ${entry.src || ''}]` : this._getEntryPlainText(entry);
+        const indent = '  '.repeat(entry.groups ? entry.groups.length : 0);
+        return `[${this._exportTimestamp(entry.ts)}] ${indent}${badge}${body}`;
+      }).join('\n');
+    }
+
+    _exportAsMarkdown () {
+      const escapeMd = (str) => String(str).replace(/([\\`*_{}[\]()#+\-.!|~<>])/g, '\\$1');
+      const escapeUrl = (url) => String(url).replace(/[()\s]/g, ch => '%' + ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+      const lines = this._exportEntries().map(entry => {
+        if (entry.type === 'spacing') return '';
+        const badge = entry.level && this.style.levelBadges[entry.level] ? `**${escapeMd(this.style.levelBadges[entry.level])}** ` : '';
+        if (entry.type === 'table' || entry.type === 'object') {
+          // Tables and code blocks start on their own line
+          return `\`${this._exportTimestamp(entry.ts)}\` ${badge}\n\n${this._structuredAsMarkdown(entry)}\n`;
+        }
+        let body;
+        if (entry.type === 'image') {
+          body = `![image](${escapeUrl(entry.src || '')})`;
+        } else if (entry.markup) {
+          body = this._parseMarkup(String(entry.text || '')).map(run => {
+            if (run.code) return run.text.includes('`') ? `\`\` ${run.text} \`\`` : `\`${run.text}\``;
+            let md = escapeMd(run.text);
+            if (run.b) md = `**${md}**`;
+            if (run.i) md = `*${md}*`;
+            if (run.s) md = `~~${md}~~`;
+            if (run.url) md = `[${md}](${escapeUrl(run.url === true ? run.text.trim() : run.url)})`;
+            return md;
+          }).join('');
+        } else {
+          body = escapeMd(this._getEntryPlainText(entry));
+        }
+        // Trailing double space keeps one log line per rendered line; multi-line messages too
+        return `\`${this._exportTimestamp(entry.ts)}\` ${badge}${body}`.split('\n').join('  \n');
+      });
+      return lines.map(l => l + '  ').join('\n');
+    }
+
+    _exportAsHTML () {
+      const bg = this._parseColorArg(this.style.consoleBG);
+      const tokenCSS = this._syntaxTokens.map(t => `.console-syntax-${t} { color: ${this._firstColorFromRaw(this.style.syntaxColors[t])}; }`).join('\n');
+      const body = this._exportEntries().map(entry => {
+        const el = this._createLineElement(entry);
+        if (entry.type === 'spacing') return el.outerHTML;
+        el.classList.remove('console-line-filtered');
+        this._clearSearchHighlight(el);
+        const ts = el.querySelector('.console-timestamp');
+        if (ts) ts.textContent = `[${this._exportTimestamp(entry.ts)}] `;
+        for (const link of el.querySelectorAll('a.console-markup-link')) link.setAttribute('href', link.dataset.href);
+        return el.outerHTML;
+      }).join('\n');
+
+      return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Console log</title>
+<style>
+body { margin: 0; padding: ${this.style.consolePadding}px; min-height: 100vh; box-sizing: border-box; background: ${bg.isGradient ? bg.gradientCSS : bg.color}; color: #FFFFFF; font-family: ${this.style.fontText}; font-size: 14px; }
+.console-line { line-height: ${this.style.consoleLineSpacing || 1.2}; }
+.console-timestamp { font-family: ${this.style.fontTimestamp}; }
+.console-syntax-keyword { font-weight: bold; }
+.console-syntax-comment { font-style: italic; }
+${tokenCSS}
+.console-markup-code { font-family: monospace; background: rgba(255,255,255,0.12); border-radius: 3px; padding: 0 3px; }
+.console-markup-link { color: inherit; }
+.console-button { display: inline-block; border: 1px solid currentColor; border-radius: 3px; padding: 0 6px; }
+.console-progress { display: inline-block; vertical-align: middle; width: 10em; height: 0.7em; margin-right: 0.5em; border-radius: 0.35em; background: rgba(255,255,255,0.15); overflow: hidden; }
+.console-progress-fill { display: block; height: 100%; }
+.console-spinner::before { content: attr(data-frame); display: inline-block; width: 1.2em; }
+.console-table { border-collapse: collapse; }
+.console-table th, .console-table td { border: 1px solid rgba(255,255,255,0.2); padding: 0 0.6em; text-align: left; vertical-align: top; white-space: pre; }
+.console-tree { display: inline-block; vertical-align: top; }
+.console-tree-row { display: block; white-space: pre; }
+.console-tree-toggle { display: inline-block; width: 1.2em; font-size: 0.8em; }
+.console-tree-toggle::before { content: '\\25B6'; }
+.console-tree-toggle.open::before { content: '\\25BC'; }
+.console-tree-toggle.leaf::before { content: ''; }
+.console-group-title { font-weight: bold; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+    }
+
+    exportConsole (args) {
+      try {
+        const format = this._normalizeExportFormat(args.FORMAT);
+        if (format === 'html') return this._exportAsHTML();
+        if (format === 'markdown') return this._exportAsMarkdown();
+        if (format === 'json') return this.getConsoleAsArray();
+        return this._exportAsText();
+      } catch (e) { return ''; }
+    }
+
+    downloadConsole (args) {
+      const format = this._normalizeExportFormat(args.FORMAT);
+      const types = {
+        text: ['txt', 'text/plain'],
+        html: ['html', 'text/html'],
+        markdown: ['md', 'text/markdown'],
+        json: ['json', 'application/json']
+      };
+      const [ext, mime] = types[format];
+      let name = String(args.NAME || 'console-log').trim().replace(/[\\/:*?"<>|]/g, '_') || 'console-log';
+      if (!name.toLowerCase().endsWith(`.${ext}`)) name += `.${ext}`;
+
+      try {
+        const blob = new Blob([this.exportConsole({ FORMAT: format })], { type: `${mime};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        if (Scratch && typeof Scratch.download === 'function') {
+          // Goes through the editor's download permission prompt
+          Promise.resolve(Scratch.download(url, name)).finally(() => setTimeout(() => URL.revokeObjectURL(url), 1000));
+          return;
+        }
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name;
+        a.style.display = 'none';
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      } catch (e) {}
+    }
+
+    // ---- in-console search ----
+    // Text a line displays, without timestamp or badge. Search ranges index into this.
+    _getEntryPlainText (entry) {
+      if (!entry || entry.type === 'spacing' || entry.type === 'image' || entry.type === 'dots') return '';
+      if (entry.type === 'progress') return `${entry.text ? `${entry.text} ` : ''}${Math.round(this._clampProgress(entry.progress))}%`;
+      if (entry.type === 'table' || entry.type === 'object') return this._structuredAsText(entry);
+      if (entry.markup) return this._parseMarkup(String(entry.text || '')).map(r => r.text).join('');
+      if (this.style.textStyle === 'ansi' && entry.buttonId === undefined) return this._parseAnsi(String(entry.text || '')).map(r => r.text).join('');
+      return String(entry.text || '');
+    }
+
+    _buildSearchRegex () {
+      const { query, mode } = this._search;
+      if (!query) return null;
+      try {
+        if (mode === 'regex') return new RegExp(query, 'g');
+        const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(escaped, mode === 'case-insensitive' ? 'gi' : 'g');
+      } catch (e) { return null; }
+    }
+
+    _findMatchesInEntry (entry, regex) {
+      const out = [];
+      if (!regex || this._isEntryHidden(entry)) return out;
+      const text = this._getEntryPlainText(entry);
+      regex.lastIndex = 0;
+      let m;
+      while ((m = regex.exec(text)) !== null) {
+        if (m[0].length === 0) { regex.lastIndex++; continue; }
+        out.push({ id: entry.id, start: m.index, end: m.index + m[0].length });
+      }
+      return out;
+    }
+
+    _runSearch (scrollToCurrent = false) {
+      const s = this._search;
+      const prev = s.matches[s.current];
+      const prevIndex = s.current;
+      s.matches = [];
+      const regex = this._buildSearchRegex();
+      if (regex) {
+        for (const entry of this._consoleCache) {
+          for (const m of this._findMatchesInEntry(entry, regex)) s.matches.push(m);
+        }
+      }
+      // Stay on the same match when the log changes underneath the search
+      let current = prev ? s.matches.findIndex(m => m.id === prev.id && m.start === prev.start) : -1;
+      if (current === -1 && s.matches.length) current = Math.min(Math.max(0, prevIndex), s.matches.length - 1);
+      s.current = current;
+      this._indexSearchMatches();
+      this._refreshSearchHighlights();
+      this._updateSearchBar();
+      if (scrollToCurrent) this._scrollToCurrentMatch();
+    }
+
+    // Rendering a line looks its matches up here instead of scanning the whole match list
+    _indexSearchMatches () {
+      const s = this._search;
+      s.byId = new Map();
+      s.matches.forEach((m, index) => this._indexSearchMatch(m, index));
+    }
+
+    _indexSearchMatch (m, index) {
+      const byId = this._search.byId;
+      if (!byId.has(m.id)) byId.set(m.id, []);
+      byId.get(m.id).push({ start: m.start, end: m.end, index });
+    }
+
+    _appendSearchMatches (entry) {
+      const s = this._search;
+      for (const m of this._findMatchesInEntry(entry, this._buildSearchRegex())) {
+        s.matches.push(m);
+        this._indexSearchMatch(m, s.matches.length - 1);
+      }
+      if (s.current === -1 && s.matches.length) s.current = 0;
+      this._updateSearchBar();
+    }
+
+    // Forgets the matches of removed lines without searching the whole log again
+    _dropSearchMatches (ids) {
+      const s = this._search;
+      if (!ids.size || !s.matches.length) return;
+      const prev = s.matches[s.current];
+      const kept = s.matches.filter(m => !ids.has(m.id));
+      if (kept.length === s.matches.length) return;
+      s.matches = kept;
+      let current = prev ? kept.indexOf(prev) : -1;
+      if (current === -1 && kept.length) current = Math.min(Math.max(0, s.current), kept.length - 1);
+      s.current = current;
+      this._indexSearchMatches();
+      this._refreshSearchHighlights();
+      this._updateSearchBar();
+    }
+
+    // Wraps the matched ranges of a rendered line in <mark> elements. Works across
+    // text nodes so per-letter gradients and syntax spans are highlighted too.
+    _applySearchHighlight (container, entry) {
+      const s = this._search;
+      if (!s.query || !s.matches.length) return;
+      // Tables and objects are searched as text but laid out differently, so matches are not marked inline
+      if (entry.type === 'table' || entry.type === 'object') return;
+      const hits = s.byId.get(entry.id);
+      if (!hits) return;
+
+      const nodes = [];
+      const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+        acceptNode: (n) => (n.parentElement && n.parentElement.closest('.console-timestamp, .console-level-badge'))
+          ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+      });
+      while (walker.nextNode()) nodes.push(walker.currentNode);
+
+      let offset = 0;
+      for (const node of nodes) {
+        const text = node.nodeValue;
+        const nodeStart = offset;
+        const nodeEnd = offset + text.length;
+        offset = nodeEnd;
+        const inNode = hits.filter(h => h.start < nodeEnd && h.end > nodeStart);
+        if (!inNode.length) continue;
+
+        const frag = document.createDocumentFragment();
+        let pos = 0;
+        for (const h of inNode) {
+          const a = Math.max(h.start - nodeStart, pos);
+          const b = Math.min(h.end - nodeStart, text.length);
+          if (a > pos) frag.appendChild(document.createTextNode(text.slice(pos, a)));
+          const mark = document.createElement('mark');
+          mark.className = 'console-search-hit' + (h.index === s.current ? ' current' : '');
+          mark.dataset.match = String(h.index);
+          mark.textContent = text.slice(a, b);
+          frag.appendChild(mark);
+          pos = b;
         }
-        this._consoleCache.splice(idx, 1);
+        if (pos < text.length) frag.appendChild(document.createTextNode(text.slice(pos)));
+        node.parentNode.replaceChild(frag, node);
       }
     }
 
-    _getVisualIndex(cacheIndex) {
-        let count = 0;
-        for (let i = 0; i <= cacheIndex; i++) {
-            if (this._consoleCache[i].type !== 'spacing') {
-                count++;
-            }
-        }
-        return count;
+    _clearSearchHighlight (container) {
+      const marks = container.querySelectorAll('mark.console-search-hit');
+      if (!marks.length) return;
+      for (const mark of marks) mark.replaceWith(document.createTextNode(mark.textContent));
+      container.normalize();
     }
 
-    _addSpacing (h, isAuto = false) {
-      const lastEntry = this._consoleCache[this._consoleCache.length - 1];
-      if (lastEntry && lastEntry.type === 'spacing' && lastEntry.isAutoSpacing) {
-        lastEntry.spacingHeight = h; 
-        if (this.logArea) {
-            const el = this.logArea.querySelector(`[data-id="${lastEntry.id}"]`);
-            if (el) el.style.marginTop = `${h}px`;
-        }
-        return;
+    _refreshSearchHighlights () {
+      if (!this.logArea) return;
+      const byId = new Map(this._consoleCache.map(e => [String(e.id), e]));
+      for (const ch of Array.from(this.logArea.children)) {
+        if (!ch.classList.contains('console-line')) continue;
+        this._clearSearchHighlight(ch);
+        const entry = byId.get(ch.dataset.id);
+        if (entry) this._applySearchHighlight(ch, entry);
       }
-      if (h === 0) return; 
-      const entry = { id: this._nextId++, type: 'spacing', spacingHeight: h, isAutoSpacing: isAuto };
-      this._consoleCache.push(entry);
-      if (this._dotsInterval) this._stopDots();
-      this._addLineToDOM(entry);
     }
 
-    _getRealIndex(visualIndex) {
-      let count = 0;
-      for (let i = 0; i < this._consoleCache.length; i++) {
-        if (this._consoleCache[i].type !== 'spacing') {
-          count++;
-          if (count === visualIndex) return i;
-        }
+    _stepSearch (dir) {
+      const s = this._search;
+      if (!s.matches.length) return;
+      s.current = ((s.current === -1 ? (dir > 0 ? -1 : 0) : s.current) + dir + s.matches.length) % s.matches.length;
+      if (this.logArea) {
+        for (const mark of this.logArea.querySelectorAll('mark.console-search-hit.current')) mark.classList.remove('current');
+        for (const mark of this.logArea.querySelectorAll(`mark[data-match="${s.current}"]`)) mark.classList.add('current');
       }
-      return -1;
+      this._updateSearchBar();
+      this._scrollToCurrentMatch();
     }
 
-    styleLine (args) {
-      const visibleIndex = Math.floor(Number(args.INDEX) || 1);
-      const idx = this._getRealIndex(visibleIndex);
-      if (idx === -1) return;
-
-      const entry = this._consoleCache[idx];
-      entry.customFont = String(args.FONT || '');
-      entry.customSize = Number(args.SIZE) || 1;
-      entry.customAlign = String(args.ALIGN || '').toLowerCase();
+    _scrollToCurrentMatch () {
+      const m = this._search.matches[this._search.current];
+      if (m) this._scrollToEntry(m.id);
+    }
 
-      if (this.logArea) {
-        const el = this.logArea.querySelector(`[data-id="${entry.id}"]`);
-        if (el) {
-          this._applyLineStyle(el, entry);
-          this._resizeDynamicSizes();
+    _createSearchBar () {
+      if (!this.consoleOverlay || !this.logArea) return;
+      if (this.searchBar && this.consoleOverlay.contains(this.searchBar)) return;
+
+      const bar = document.createElement('div');
+      bar.className = 'console-search-bar';
+
+      const field = document.createElement('input');
+      field.type = 'text';
+      field.className = 'console-search-input';
+      field.placeholder = 'Search...';
+      field.value = this._search.query;
+      field.addEventListener('input', this._paneHandler(() => {
+        this._search.query = field.value;
+        this._search.current = -1;
+        this._runSearch(true);
+      }));
+      field.addEventListener('keydown', this._paneHandler((e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this._stepSearch(e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          this._closeSearchBar();
         }
-      }
+      }));
+
+      const count = document.createElement('span');
+      count.className = 'console-search-count';
+
+      const makeButton = (label, title, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = 'console-search-btn';
+        btn.textContent = label;
+        btn.title = title;
+        btn.addEventListener('mousedown', (e) => e.preventDefault());
+        btn.addEventListener('click', this._paneHandler(onClick));
+        return btn;
+      };
+
+      bar.appendChild(field);
+      bar.appendChild(count);
+      bar.appendChild(makeButton('↑', 'Previous match', () => this._stepSearch(-1)));
+      bar.appendChild(makeButton('↓', 'Next match', () => this._stepSearch(1)));
+      bar.appendChild(makeButton('×', 'Close', () => this._closeSearchBar()));
+
+      this.consoleOverlay.insertBefore(bar, this.logArea);
+      this.searchBar = bar;
+      this._applySearchBarStyle();
+      this._updateSearchBar();
     }
 
-    resetLineStyle (args) {
-      const visibleIndex = Math.floor(Number(args.INDEX) || 1);
-      const idx = this._getRealIndex(visibleIndex);
-      if (idx === -1) return;
+    _applySearchBarStyle () {
+      if (!this.searchBar) return;
+      this._applyBackgroundStyle(this.searchBar, this.style.inputBG);
+      this.searchBar.style.color = this._firstColorFromRaw(this.style.inputTextRaw);
+      this.searchBar.style.fontFamily = this.style.fontInput;
+      this.searchBar.style.fontSize = `${this._computedInputPx || 14}px`;
+    }
 
-      const entry = this._consoleCache[idx];
-      delete entry.customFont;
-      delete entry.customSize;
-      delete entry.customAlign;
+    _updateSearchBar () {
+      if (!this.searchBar) return;
+      const count = this.searchBar.querySelector('.console-search-count');
+      const s = this._search;
+      if (count) count.textContent = s.matches.length ? `${s.current + 1}/${s.matches.length}` : (s.query ? 'No matches' : '');
+    }
 
-      if (this.logArea) {
-        const el = this.logArea.querySelector(`[data-id="${entry.id}"]`);
-        if (el) {
-          this._applyLineStyle(el, entry);
-          this._resizeDynamicSizes();
-        }
-      }
+    _openSearchBar () {
+      this._searchBarVisible = true;
+      if (!this.consoleVisible) return;
+      this._createSearchBar();
+      const field = this.searchBar && this.searchBar.querySelector('.console-search-input');
+      if (field) { field.focus(); field.select(); }
     }
 
-    getConsoleAsArray () {
-      try {
-        const savable = this._consoleCache.filter(e => !e.isAutoSpacing);
-        return JSON.stringify(savable);
-      } catch (e) { return '[]'; }
+    _closeSearchBar () {
+      this._searchBarVisible = false;
+      if (this.searchBar) { try { this.searchBar.remove(); } catch (e) {} }
+      this.searchBar = null;
+      this.clearSearch();
     }
 
-    setConsoleFromArray (args) {
-      try {
-        const arr = JSON.parse(String(args.ARRAY || '[]'));
-        if (!Array.isArray(arr)) return;
+    searchConsole (args) {
+      this._search.query = String(args.QUERY ?? '');
+      this._search.current = -1;
+      const field = this.searchBar && this.searchBar.querySelector('.console-search-input');
+      if (field) field.value = this._search.query;
+      this._runSearch(true);
+    }
 
-        this._consoleCache = [];
-        this._nextId = 1;
-        
-        for (const e of arr) {
-          const base = {
-            id: this._nextId++, 
-            type: e.type || 'text',
-            ts: e.ts ? Number(e.ts) : Date.now(),
-          };
+    setSearchMode (args) {
+      const mode = String(args.MODE || 'plain').toLowerCase();
+      const valid = ['plain', 'case-insensitive', 'regex'];
+      this._search.mode = valid.includes(mode) ? mode : 'plain';
+      if (this._search.query) this._runSearch();
+    }
 
-          if (base.type === 'spacing') {
-            this._consoleCache.push(Object.assign(base, {
-              spacingHeight: Number(e.spacingHeight) || 0,
-              isAutoSpacing: false 
-            }));
-          } else {
-            const entry = Object.assign(base, {
-              text: String(e.text || ''),
-              src: e.src,
-              width: e.width,
-              height: e.height,
-              roundness: e.roundness,
-              colorRaw: String(e.colorRaw || '#FFFFFF'),
-              customFont: e.customFont,
-              customSize: e.customSize,
-              customAlign: e.customAlign
-            });
-            this._consoleCache.push(entry);
+    findMatch (args) {
+      this._stepSearch(String(args.DIRECTION || 'next').toLowerCase() === 'previous' ? -1 : 1);
+    }
 
-            if (entry.type === 'image' && (entry.width > 0 || entry.height > 0)) {
-                this._consoleCache.push({ id: this._nextId++, type: 'spacing', spacingHeight: 10, isAutoSpacing: true });
-            }
-          }
-        }
-        if (this._dotsInterval) this._stopDots();
-        this._restoreConsoleCache();
-      } catch (e) {}
+    clearSearch () {
+      this._search.query = '';
+      this._search.current = -1;
+      const field = this.searchBar && this.searchBar.querySelector('.console-search-input');
+      if (field) field.value = '';
+      this._runSearch();
+    }
+
+    toggleSearchBar (args) {
+      const action = String(args.ACTION || 'toggle').toLowerCase();
+      const show = action === 'show' || (action === 'toggle' && !this._searchBarVisible);
+      if (show) this._openSearchBar();
+      else this._closeSearchBar();
+    }
+
+    getSearchMatchCount () { return this._search.matches.length; }
+
+    getSearchMatchLine () {
+      const m = this._search.matches[this._search.current];
+      if (!m) return 0;
+      const idx = this._consoleCache.findIndex(e => e.id === m.id);
+      return idx === -1 ? 0 : this._getVisualIndex(idx);
     }
 
     getConsoleLineCount () { 
-      return this._consoleCache.filter(e => e.type !== 'spacing').length;
+      return this._countLines();
     }
 
     isConsoleShown () { return !!this.consoleVisible; }
@@ -1719,11 +5426,13 @@
         this._setupObserverForRelative();
       } 
       this._refreshTimestamps();
+      this._invalidateAllHeights();
       this._resizeDynamicSizes(); 
+      this._renderVirtualWindow();
     }
 
-    _formatTimestamp (ms) {
-      if (this._timestampFormat === 'relative') {
+    _formatTimestamp (ms, format = this._timestampFormat) {
+      if (format === 'relative') {
         const s = Math.floor((Date.now() - ms) / 1000);
         if (s < 5) return 'just now';
         if (s < 60) return `${s}s ago`;
@@ -1737,7 +5446,7 @@
       }
       const d = new Date(ms);
       const h = d.getHours(), min = d.getMinutes(), s = d.getSeconds();
-      if (this._timestampFormat === '12h') {
+      if (format === '12h') {
         const hh = ((h + 11) % 12) + 1;
         const ampm = h < 12 ? 'AM' : 'PM';
         return `${hh}:${String(min).padStart(2,'0')}:${String(s).padStart(2,'0')} ${ampm}`;
@@ -1776,7 +5485,7 @@
       this._disconnectObserverAndLoop();
       if (!this.logArea) return;
 
-      const callback = (entries) => {
+      const callback = this._paneHandler((entries) => {
         for (const entry of entries) {
           const el = entry.target;
           if (entry.isIntersecting) {
@@ -1786,7 +5495,7 @@
             this._visibleSet.delete(el);
           }
         }
-      };
+      });
 
       try {
         const options = Object.assign({}, this._ioOptions, { root: this.logArea });
@@ -1795,7 +5504,7 @@
         this._startVisibleUpdateLoop();
       } catch (e) {
         this._io = null;
-        if (this.logArea) this.logArea.addEventListener('scroll', () => this._updateVisibleLinesNow(), { passive: true });
+        if (this.logArea) this.logArea.addEventListener('scroll', this._paneHandler(() => this._updateVisibleLinesNow()), { passive: true });
         this._startVisibleUpdateLoop();
       }
     }
@@ -1809,13 +5518,13 @@
 
     _startVisibleUpdateLoop () {
       if (this._visibleUpdateInterval) return;
-      this._visibleUpdateInterval = setInterval(() => {
+      this._visibleUpdateInterval = setInterval(this._paneHandler(() => {
         if (this._timestampFormat === 'relative') {
           for (const el of this._visibleSet) this._updateTimestampForElement(el);
         } else {
           this._stopVisibleUpdateLoop();
         }
-      }, this._visibleIntervalMs);
+      }), this._visibleIntervalMs);
     }
 
     _stopVisibleUpdateLoop () {
@@ -1899,6 +5608,10 @@
             if (!entry || !entry.customFont) msgSpans.forEach(s => s.style.fontFamily = this.style.fontText);
           }
         }
+        if (part !== 'input') {
+          this._invalidateAllHeights();
+          this._renderVirtualWindow();
+        }
       }
 
       if (part === 'input') this._resizeDynamicSizes();
@@ -2027,6 +5740,8 @@
               }
             }
           }
+          this._invalidateAllHeights();
+          this._renderVirtualWindow();
         }
       } else if (part === 'input') {
         this.style.inputWrapping = mode;
@@ -2040,49 +5755,211 @@
 
     setTextStyle(args) {
         const style = String(args.STYLE || 'default').toLowerCase();
-        this.style.textStyle = (style === 'javascript') ? 'javascript' : 'default';
+        this.style.textStyle = (this._grammars.has(style) || style === 'ansi') ? style : 'default';
         this._restoreConsoleCache(); // For Console
+        if (this._search.query) this._runSearch(); // ANSI changes the displayed text
         this._updateInputSyntax(); // For Input
         this._applyInputTextColor(this.style.inputTextRaw); // Refreshes color logic
     }
 
+    setSyntaxColor(args) {
+        const token = String(args.TOKEN || '').toLowerCase();
+        if (!this._syntaxTokens.includes(token)) return;
+        this.style.syntaxColors = Object.assign({}, this.style.syntaxColors, { [token]: String(args.COLOR || '#FFFFFF').trim() });
+        this._applySyntaxTheme(this.consoleOverlay);
+        this._applySyntaxTheme(this.inputOverlay);
+    }
+
+    resetSyntaxColors() {
+        this.style.syntaxColors = { ...this._defaults.syntaxColors };
+        this._applySyntaxTheme(this.consoleOverlay);
+        this._applySyntaxTheme(this.inputOverlay);
+    }
+
     setGradientMode(args) {
         const mode = String(args.MODE || 'normal').toLowerCase();
         this.style.gradientMode = (mode === 'split') ? 'split' : 'normal';
         this._restoreConsoleCache();
     }
 
-    resetStyling () {
-      this.style = Object.assign({}, this._defaults);
-      // Ensure defaults for nested objects (Object.assign is shallow)
-      this.style.consoleRegion = { ...this._defaults.consoleRegion };
-      this.style.inputRegion = { ...this._defaults.inputRegion };
-
-      this._disconnectObserverAndLoop(); 
-      this._timestampFormat = 'off';
-      this._refreshTimestamps();
-      // --- Reset padding ---
-      this.setPadding({ PART: 'console', PADDING: this._defaults.consolePadding });
-      this.setPadding({ PART: 'input', PADDING: this._defaults.inputPadding });
+    // Installs a complete style object and pushes every field of it to the DOM.
+    _applyStyle (style) {
+      const previousPosition = this.style.inputPosition;
+      this.style = Object.assign({}, style);
+      // Ensure copies of nested objects (Object.assign is shallow)
+      this.style.consoleRegion = { ...style.consoleRegion };
+      this.style.inputRegion = { ...style.inputRegion };
+      this.style.levelColors = { ...style.levelColors };
+      this.style.levelBadges = { ...style.levelBadges };
+      this.style.syntaxColors = { ...style.syntaxColors };
+      this.style.crtEffects = { ...style.crtEffects };
+      this._applySyntaxTheme(this.consoleOverlay);
+      this._applySyntaxTheme(this.inputOverlay);
+
+      this.setPadding({ PART: 'console', PADDING: this.style.consolePadding });
+      this.setPadding({ PART: 'input', PADDING: this.style.inputPadding });
       this.setInputPlaceholder({ TEXT: this.style.inputPlaceholder });
       this.setInputHeightRange({ MIN: this.style.minInputHeightPct, MAX: this.style.maxInputHeightPct });
       this.setTextWrapping({ PART: 'console', MODE: this.style.consoleWrapping });
       this.setTextWrapping({ PART: 'input', MODE: this.style.inputWrapping });
-      this.setColorPicker({ PART: 'console background', COLOR: this.style.consoleBG });
-      this.setColorPicker({ PART: 'input background', COLOR: this.style.inputBG });
+      // Backgrounds are stored as CSS already, so they skip the color parsing of setColorPicker
+      if (this.consoleOverlay) this._updateBackgrounds('console', this.consoleOverlay, this.logArea);
+      if (this.inputWrapper) this._updateBackgrounds('input', this.inputWrapper, this.inputField);
+      if (this.suggestionBox) this._applyBackgroundStyle(this.suggestionBox, this.style.inputBG);
       this.setColorPicker({ PART: 'input placeholder', COLOR: this.style.inputPlaceholderColorRaw });
       this.setColorPicker({ PART: 'input text', COLOR: this.style.inputTextRaw });
+      this.setAlignment({ PART: 'input', ALIGN: this.style.inputAlign });
+      this.setFont({ PART: 'input', FONT: this.style.fontInput });
+      this.setMinLogLevel({ LEVEL: this.style.minLogLevel });
+
+      if (this.style.inputPosition !== previousPosition) this.setInputPosition({ POS: this.style.inputPosition });
+      this.setEnterBehavior({ BEHAVIOR: this.style.enterBehavior });
+      this.setTextStyle({ STYLE: this.style.textStyle });
+      this.setGradientMode({ MODE: this.style.gradientMode });
       
+      this._resizeDynamicSizes();
+    }
+
+    resetStyling () {
+      this._disconnectObserverAndLoop(); 
+      this._timestampFormat = 'off';
+      this._refreshTimestamps();
       this._autocorrectEnabled = false; 
       this.setAutocorrect({ ENABLED: false });
-      this.setInputPosition({ POS: 'bottom' });
-      this.setEnterBehavior({ BEHAVIOR: 'submit' });
-      this.setTextStyle({ STYLE: 'default' });
-      this.setGradientMode({ MODE: 'normal' });
-      
-      this._resizeDynamicSizes();
+      this._applyStyle(this._defaults);
+    }
+
+    // ---- themes ----
+    // Imported fields must exist in _defaults with the same type; nested objects only take known keys.
+    _sanitizeTheme (theme) {
+      const clean = {};
+      if (!theme || typeof theme !== 'object' || Array.isArray(theme)) return clean;
+      for (const key of Object.keys(this._defaults)) {
+        if (!Object.prototype.hasOwnProperty.call(theme, key)) continue;
+        const def = this._defaults[key];
+        const value = theme[key];
+        if (def && typeof def === 'object') {
+          if (!value || typeof value !== 'object') continue;
+          const nested = {};
+          for (const k of Object.keys(def)) {
+            if (value[k] !== undefined && typeof value[k] === typeof def[k]) nested[k] = value[k];
+          }
+          clean[key] = Object.assign({}, this.style[key], nested);
+        } else if (typeof def === 'number') {
+          const n = Number(value);
+          if (Number.isFinite(n)) clean[key] = n;
+        } else if (typeof value === 'string') {
+          clean[key] = value;
+        }
+      }
+      return clean;
+    }
+
+    setThemePreset (args) {
+      const name = Object.keys(this._themePresets).find(n => n.toLowerCase() === String(args.THEME || '').trim().toLowerCase());
+      if (!name) return;
+      // Every preset covers the same keys, so switching presets never leaves a mix of two looks
+      const look = {};
+      for (const key of this._themeKeys) look[key] = this._defaults[key];
+      this._applyStyle(Object.assign({}, this.style, look, this._themePresets[name]));
+    }
+
+    getThemeJSON () {
+      try { return JSON.stringify(this.style); } catch (e) { return '{}'; }
+    }
+
+    applyThemeJSON (args) {
+      let theme;
+      try {
+        theme = JSON.parse(String(args.JSON || '{}'));
+      } catch (e) {
+        return;
+      }
+      this._applyStyle(Object.assign({}, this.style, this._sanitizeTheme(theme)));
     }
     
+    // ---- CRT effects ----
+    _crtIntensity (name) {
+      const n = Number((this.style.crtEffects || {})[name]);
+      return Number.isFinite(n) ? Math.max(0, Math.min(100, n)) / 100 : 0;
+    }
+
+    _crtLayer (className, enabled) {
+      let layer = this.consoleOverlay.querySelector(`:scope > .${className}`);
+      if (!enabled) {
+        if (layer) layer.remove();
+        return null;
+      }
+      if (!layer) {
+        layer = document.createElement('div');
+        layer.className = `console-crt-layer ${className}`;
+        this.consoleOverlay.appendChild(layer);
+      }
+      // The overlay is padded to make room for a full-height input; the effects stop where the log does
+      layer.style.top = this.consoleOverlay.style.paddingTop || '0px';
+      layer.style.bottom = this.consoleOverlay.style.paddingBottom || '0px';
+      return layer;
+    }
+
+    _applyCrtEffects () {
+      const overlay = this.consoleOverlay;
+      if (!overlay || !this.logArea) return;
+      const scanlines = this._crtIntensity('scanlines');
+      const glow = this._crtIntensity('glow');
+      const curvature = this._crtIntensity('curvature');
+      const flicker = this._crtIntensity('flicker');
+      const aberration = this._crtIntensity('aberration');
+      const cursor = this._crtIntensity('cursor');
+
+      const lines = this._crtLayer('console-crt-scanlines', scanlines > 0);
+      if (lines) lines.style.setProperty('--console-crt-scanlines', String(0.6 * scanlines));
+
+      // CSS cannot bend the text, so curvature is rounded corners plus a vignette
+      overlay.style.borderRadius = curvature > 0 ? `${curvature * 8}% / ${curvature * 12}%` : '';
+      overlay.style.overflow = curvature > 0 ? 'hidden' : '';
+      const vignette = this._crtLayer('console-crt-vignette', curvature > 0);
+      if (vignette) vignette.style.boxShadow = `inset 0 0 ${Math.round(20 + curvature * 60)}px ${Math.round(curvature * 20)}px rgba(0,0,0,${(0.3 + curvature * 0.5).toFixed(2)})`;
+
+      // Glow and aberration share text-shadow, which every line inherits from the scroller
+      const shadows = [];
+      if (glow > 0) shadows.push(`0 0 ${(1 + glow * 6).toFixed(1)}px currentColor`);
+      if (aberration > 0) {
+        const offset = (aberration * 2.5).toFixed(2);
+        shadows.push(`-${offset}px 0 rgba(255,0,64,0.6)`, `${offset}px 0 rgba(0,200,255,0.6)`);
+      }
+      this.logArea.style.textShadow = shadows.join(', ');
+
+      overlay.classList.toggle('console-crt-flicker', flicker > 0);
+      overlay.style.setProperty('--console-crt-flicker', String(flicker * 0.3));
+
+      this.logArea.classList.toggle('console-crt-cursor', cursor > 0);
+      if (cursor > 0) {
+        const px = 14 * (this._computedScale || 1) * (this.style.sizeText || 1);
+        this.logArea.style.setProperty('--console-crt-cursor', String(cursor));
+        this.logArea.style.setProperty('--console-crt-cursor-size', `${px}px`);
+        this.logArea.style.setProperty('--console-crt-cursor-color', this.style.levelColors.info);
+      }
+    }
+
+    setCrtEffect (args) {
+      const key = this._crtEffectNames[String(args.EFFECT || '').trim().toLowerCase()];
+      if (!key) return;
+      const n = Number(args.AMOUNT);
+      const amount = Number.isFinite(n) ? Math.max(0, Math.min(100, n)) : 0;
+      this.style.crtEffects = Object.assign({}, this.style.crtEffects, { [key]: amount });
+      this._applyCrtEffects();
+    }
+
+    clearCrtEffects () {
+      this.style.crtEffects = { ...this._defaults.crtEffects };
+      this._applyCrtEffects();
+    }
+
+    getCrtEffect (args) {
+      const key = this._crtEffectNames[String(args.EFFECT || '').trim().toLowerCase()];
+      return key ? this._crtIntensity(key) * 100 : 0;
+    }
+
     // ---- console management ----
     toggleConsole (args) {
       const action = String(args.ACTION || 'toggle').toLowerCase();
@@ -2102,6 +5979,7 @@
         }
         this._resizeDynamicSizes();
         if (this.logArea) this.logArea.scrollTop = this.logArea.scrollHeight; 
+        this._layoutPanes();
       }
     }
 
@@ -2110,18 +5988,199 @@
         try { this.consoleOverlay.remove(); } catch (e) {}
         this.consoleOverlay = null;
         this.logArea = null;
+        this.searchBar = null;
       }
       this.consoleVisible = false;
       this._disconnectObserverAndLoop();
+      this._layoutPanes();
     }
 
     clearConsole () {
-      if (this._dotsInterval) this._stopDots();
+      // A running replay would keep adding its old lines to the cleared console
+      this._stopReplay();
+      this._dotsEntry = null;
+      // Open groups stay open, so lines logged after clearing keep their indentation
+      this._collapsedGroups = new Set();
       this._consoleCache = [];
+      this._lineCount = 0;
       this._nextId = 1;
+      this._evictedCount = 0;
       this._scrollCache = 0; 
-      if (this.logArea) this.logArea.innerHTML = '';
+      if (this.logArea) this._resetVirtualDOM();
       this._visibleSet.clear();
+      this._runSearch();
+    }
+
+    // ---- named consoles ----
+    // Blocks always act on the loaded pane. _withPane swaps another pane's state onto `this`
+    // for the duration of fn, so every existing method works unchanged on any console.
+    _normalizePaneName (name) {
+      return String(name ?? '').trim() || 'main';
+    }
+
+    _createPaneState () {
+      // New consoles start with the look of the current one
+      const style = Object.assign({}, this.style);
+      return {
+        _consoleCache: [], _nextId: 1, _lineCount: 0, _virtual: this._createVirtualState(),
+        consoleVisible: false, consoleOverlay: null, logArea: null,
+        style, textSelectable: this.textSelectable,
+        _autoScrollEnabled: true, _scrollCache: 0, _lastUserScroll: 0, _timestampFormat: this._timestampFormat,
+        searchBar: null, _searchBarVisible: false, _search: { query: '', mode: this._search.mode, matches: [], current: -1, byId: new Map() },
+        _maxLines: 0, _overflowPolicy: 'drop oldest', _evictedCount: 0, _dotsEntry: null, _liveLines: new Set(), _lineTimer: null,
+        _io: null, _visibleSet: new Set(), _visibleUpdateInterval: null, _replay: null,
+        _groupStack: [], _collapsedGroups: new Set(), _nextGroupId: 1
+      };
+    }
+
+    _getPane (name, create = false) {
+      const key = this._normalizePaneName(name);
+      if (!this._panes.has(key) && create) this._panes.set(key, this._createPaneState());
+      return this._panes.get(key) || null;
+    }
+
+    _swapPane (name) {
+      if (name === this._loadedPane) return;
+      const outgoing = this._panes.get(this._loadedPane);
+      const incoming = this._panes.get(name);
+      for (const k of this._paneKeys) outgoing[k] = this[k];
+      for (const k of this._sharedStyleKeys) incoming.style[k] = outgoing.style[k];
+      for (const k of this._paneKeys) this[k] = incoming[k];
+      this._loadedPane = name;
+    }
+
+    _withPane (name, fn) {
+      const key = this._normalizePaneName(name);
+      if (key === this._loadedPane) return fn();
+      this._getPane(key, true);
+      const previous = this._loadedPane;
+      this._swapPane(key);
+      try {
+        return fn();
+      } finally {
+        if (this._panes.has(previous)) this._swapPane(previous);
+      }
+    }
+
+    _forEachPane (fn) {
+      for (const name of Array.from(this._panes.keys())) this._withPane(name, fn);
+    }
+
+    // Wraps a DOM or timer callback so it runs against the pane that registered it.
+    _paneHandler (fn) {
+      const pane = this._loadedPane;
+      return (...a) => (this._panes.has(pane) ? this._withPane(pane, () => fn(...a)) : undefined);
+    }
+
+    _paneValue (name, key) {
+      return name === this._loadedPane ? this[key] : this._panes.get(name)[key];
+    }
+
+    _visiblePaneNames () {
+      return Array.from(this._panes.keys()).filter(name => this._paneValue(name, 'consoleVisible'));
+    }
+
+    // Region the loaded pane occupies under the current layout (percent of the stage).
+    _getPaneRegion () {
+      const own = this.style.consoleRegion;
+      if (this._paneLayout === 'own regions') return own;
+      const visible = this._visiblePaneNames();
+      if (visible.length < 2) return own;
+      // Tabs and columns share the main console's region
+      const area = this._paneValue('main', 'style').consoleRegion;
+      if (this._paneLayout === 'tabs') return area;
+      const i = Math.max(0, visible.indexOf(this._loadedPane));
+      return { x: area.x + (area.w * i) / visible.length, y: area.y, w: area.w / visible.length, h: area.h };
+    }
+
+    _isPaneHiddenByLayout () {
+      if (this._paneLayout !== 'tabs' || this._loadedPane === this._currentPane) return false;
+      return this._paneValue(this._currentPane, 'consoleVisible');
+    }
+
+    _updateTabBar () {
+      if (!this.consoleOverlay) return;
+      let bar = this.consoleOverlay.querySelector(':scope > .console-tabs');
+      const visible = this._visiblePaneNames();
+      if (this._paneLayout !== 'tabs' || visible.length < 2) {
+        if (bar) bar.remove();
+        return;
+      }
+      if (!bar) {
+        bar = document.createElement('div');
+        bar.className = 'console-tabs';
+        this.consoleOverlay.insertBefore(bar, this.consoleOverlay.firstChild);
+      }
+      bar.textContent = '';
+      this._applyBackgroundStyle(bar, this.style.inputBG);
+      bar.style.color = this._firstColorFromRaw(this.style.inputTextRaw);
+      bar.style.fontFamily = this.style.fontInput;
+      bar.style.fontSize = `${this._computedInputPx || 14}px`;
+      for (const name of visible) {
+        const tab = document.createElement('button');
+        tab.className = 'console-tab' + (name === this._currentPane ? ' active' : '');
+        tab.textContent = name;
+        tab.addEventListener('mousedown', (e) => e.preventDefault());
+        tab.addEventListener('click', () => this.setCurrentConsole({ NAME: name }));
+        bar.appendChild(tab);
+      }
+    }
+
+    // Re-applies geometry and tab bars to every console after the set of panes changes.
+    _layoutPanes () {
+      if (this._layingOut) return;
+      this._layingOut = true;
+      try {
+        this._forEachPane(() => {
+          this._updateTabBar();
+          this._resizeDynamicSizes();
+        });
+      } finally {
+        this._layingOut = false;
+      }
+    }
+
+    // An empty console name logs to the current console
+    logTo (args) {
+      const name = String(args.CONSOLE ?? '').trim() || this._loadedPane;
+      this._withPane(name, () => this._log(args.TEXT, args.COLOR));
+    }
+
+    createNamedConsole (args) {
+      this._getPane(args.NAME, true);
+      this._layoutPanes();
+    }
+
+    deleteNamedConsole (args) {
+      const name = this._normalizePaneName(args.NAME);
+      if (name === 'main' || !this._panes.has(name)) return;
+      if (this._currentPane === name) this.setCurrentConsole({ NAME: 'main' });
+      this._withPane(name, () => {
+        if (this._lineTimer) clearInterval(this._lineTimer);
+        this._lineTimer = null;
+        this._stopReplay();
+        this.hideConsole();
+      });
+      this._panes.delete(name);
+      this._layoutPanes();
+    }
+
+    setCurrentConsole (args) {
+      const name = this._normalizePaneName(args.NAME);
+      this._getPane(name, true);
+      this._currentPane = name;
+      this._swapPane(name);
+      this._layoutPanes();
+    }
+
+    getCurrentConsole () { return this._currentPane; }
+
+    getConsoleNames () { return JSON.stringify(Array.from(this._panes.keys())); }
+
+    setConsoleLayout (args) {
+      const layout = String(args.LAYOUT || '').toLowerCase();
+      this._paneLayout = ['tabs', 'side by side', 'own regions'].includes(layout) ? layout : 'own regions';
+      this._layoutPanes();
     }
 
     // ---- input management ----
@@ -2252,13 +6311,175 @@
         this.style.enterBehavior = valid.includes(b) ? b : 'submit';
     }
 
+    // ---- developer REPL ----
+    // With the REPL on, its commands are answered from vm.runtime and never reach
+    // commands or the input hat. Anything else falls through as normal input.
+    setReplEnabled (args) { this._replEnabled = !!args.ENABLED; }
+
+    isReplEnabled () { return this._replEnabled; }
+
+    _replPrint (text) { this._log(text, '#FFFFFF'); }
+
+    _replError (text) { this._log(text, '#FF5555'); }
+
+    _describeTarget (target) {
+      const variables = {};
+      const lists = {};
+      for (const v of Object.values(target.variables || {})) {
+        if (v.type === '') variables[v.name] = v.value;
+        else if (v.type === 'list') lists[v.name] = Array.isArray(v.value) ? v.value.slice() : [];
+      }
+      const costumes = typeof target.getCostumes === 'function' ? target.getCostumes() : [];
+      const costume = costumes[target.currentCostume];
+      if (target.isStage) {
+        return { name: 'Stage', backdrop: costume ? costume.name : '', variables, lists };
+      }
+      const runtime = this._getRuntime();
+      const clones = runtime ? (runtime.targets || []).filter(t => !t.isOriginal && t.sprite === target.sprite).length : 0;
+      return {
+        name: target.sprite ? target.sprite.name : '',
+        x: target.x, y: target.y, direction: target.direction, size: target.size,
+        costume: costume ? costume.name : '', visible: target.visible, clones, variables, lists
+      };
+    }
+
+    // "Sprite1.hp" is hp of Sprite1 (or a stage variable if Sprite1 has none); "hp" is on the stage.
+    _resolveReplRef (ref) {
+      const dot = ref.indexOf('.');
+      if (dot > 0) {
+        const target = this._findTargetByName(ref.slice(0, dot));
+        if (target) return { target, targetName: target.isStage ? 'Stage' : target.sprite.name, name: ref.slice(dot + 1) };
+      }
+      return { target: this._getStageTarget(), targetName: 'Stage', name: ref };
+    }
+
+    _replFormat (value) {
+      return Array.isArray(value) ? JSON.stringify(value) : String(value);
+    }
+
+    _replEvaluate (ref) {
+      const { target, targetName, name } = this._resolveReplRef(ref);
+      if (!target) return this._replError('no project is running');
+      // Sprite properties come before sprite variables of the same name
+      const props = this._describeTarget(target);
+      if (targetName !== 'Stage' && ['x', 'y', 'direction', 'size', 'costume', 'visible', 'clones'].includes(name)) {
+        return this._replPrint(`${ref} = ${props[name]}`);
+      }
+      const variable = this._findTargetVariable(targetName, name);
+      if (!variable) return this._replError(`no variable named "${name}"`);
+      this._replPrint(`${ref} = ${this._replFormat(variable.value)}`);
+    }
+
+    _replSet (ref, value) {
+      const { target, targetName, name } = this._resolveReplRef(ref);
+      if (!target) return this._replError('no project is running');
+      const variable = this._findTargetVariable(targetName, name, ['']);
+      if (!variable) {
+        return this._replError(this._findTargetVariable(targetName, name, ['list']) ? `"${name}" is a list` : `no variable named "${name}"`);
+      }
+      variable.value = value;
+      if (variable.isCloud) {
+        try { this._getRuntime().ioDevices.cloud.requestUpdateVariable(variable.name, variable.value); } catch (e) {}
+      }
+      this._replPrint(`${ref} = ${variable.value}`);
+    }
+
+    // One line per variable or list, stage first, then each sprite's own
+    _replListVariables (type, targetName) {
+      const runtime = this._getRuntime();
+      let targets;
+      if (targetName) {
+        const target = this._findTargetByName(targetName);
+        if (!target) return this._replError(`no sprite named "${targetName}"`);
+        targets = [target];
+      } else {
+        targets = runtime ? (runtime.targets || []).filter(t => t.isOriginal) : [];
+        targets.sort((a, b) => Number(b.isStage) - Number(a.isStage));
+      }
+      const lines = [];
+      for (const t of targets) {
+        const prefix = t.isStage ? '' : `${t.sprite.name}.`;
+        for (const v of Object.values(t.variables || {})) {
+          if (v.type !== type) continue;
+          lines.push(type === 'list' ? `${prefix}${v.name} (${(v.value || []).length} items)` : `${prefix}${v.name} = ${v.value}`);
+        }
+      }
+      if (!lines.length) return this._replPrint(type === 'list' ? 'no lists' : 'no variables');
+      for (const line of lines) this._replPrint(line);
+    }
+
+    _replHelp () {
+      [
+        '=NAME - show a variable, list or sprite property (Sprite1.x)',
+        'set NAME VALUE - set a variable',
+        'vars [SPRITE] - list variables',
+        'lists [SPRITE] - list lists',
+        'list NAME - show the items of a list',
+        'sprites - list sprites',
+        'inspect SPRITE - show a sprite or the stage'
+      ].forEach(line => this._replPrint(line));
+    }
+
+    // Returns true when the text was a REPL command
+    _runRepl (text) {
+      if (text.startsWith('=') && text.length > 1) {
+        this._replEvaluate(text.slice(1).trim());
+        return true;
+      }
+      const tokens = this._tokenizeCommand(text);
+      if (!tokens.length || tokens[0].quoted) return false;
+      const word = tokens[0].value.toLowerCase();
+      const arg = tokens[1] ? tokens[1].value : '';
+
+      switch (word) {
+        case 'set': {
+          if (tokens.length < 3) return false;
+          // A single value token is parsed like a command argument ("5" stays text); more tokens are taken as typed
+          const value = tokens.length === 3 ? this._parseArgToken(tokens[2]) : text.slice(tokens[2].start).trim();
+          this._replSet(arg, value);
+          return true;
+        }
+        case 'vars':
+        case 'lists':
+          this._replListVariables(word === 'vars' ? '' : 'list', arg);
+          return true;
+        case 'list': {
+          if (!arg) return false;
+          const { targetName, name } = this._resolveReplRef(arg);
+          const list = this._findTargetVariable(targetName, name, ['list']);
+          if (!list) this._replError(`no list named "${name}"`);
+          else this._logStructured(JSON.stringify(list.value || []), 'table');
+          return true;
+        }
+        case 'sprites': {
+          const names = this._getSpriteNames();
+          this._replPrint(names.length ? names.join(', ') : 'no sprites');
+          return true;
+        }
+        case 'inspect': {
+          const target = this._findTargetByName(arg || 'Stage');
+          if (!target) this._replError(`no sprite named "${arg}"`);
+          else this._logStructured(JSON.stringify(this._describeTarget(target)), 'object');
+          return true;
+        }
+        case 'help':
+          if (tokens.length > 1) return false;
+          this._replHelp();
+          return true;
+        default:
+          return false;
+      }
+    }
+
     _dispatchInput (text) {
       const txt = String(text ?? '');
       this.lastInput = txt;
       this._lastSelection = { ...this._currentSelection };
       
       if (this.logInputEnabled && txt.trim()) this._log('> ' + txt.trim(), '#FFFFFF');
-      
+      if (this._replEnabled && txt.trim() && this._runRepl(txt.trim())) return;
+      this._handleCommand(txt);
+
       this._inputEventId = (this._inputEventId || 0) + 1;
       try {
         if (typeof vm !== 'undefined' && vm && vm.runtime && typeof vm.runtime.startHats === 'function') {
@@ -2300,6 +6521,7 @@
             targetEl.scrollTop = Math.min(max, Math.max(0, y));
             
             if (targetEl === this.logArea) {
+                 this._renderVirtualWindow();
                  this._scrollCache = targetEl.scrollTop;
             }
         } else if (args.TARGET.toLowerCase() === 'console') {
@@ -2334,10 +6556,31 @@
         return !!this._autoScrollEnabled;
     }
 
+    // Scrolls the log so the line with the given entry id sits in the middle of the view.
+    _scrollToEntry (id) {
+        if (!this.logArea) return;
+        const idx = this._consoleCache.findIndex(e => e.id === id);
+        if (idx === -1) return;
+        // Two passes: the first renders the line so its measured height is used by the second
+        for (let pass = 0; pass < 2; pass++) {
+            const offsets = this._ensureOffsets();
+            const h = offsets[idx + 1] - offsets[idx];
+            const target = (this.style.consolePadding || 0) + offsets[idx] - (this.logArea.clientHeight / 2) + (h / 2);
+            const max = Math.max(0, this.logArea.scrollHeight - this.logArea.clientHeight);
+            this.logArea.scrollTop = Math.min(max, Math.max(0, target));
+            this._renderVirtualWindow();
+        }
+        this._scrollCache = this.logArea.scrollTop;
+        this._lastUserScroll = Date.now();
+    }
+
     _applyCachedScroll () { 
         if (!this.logArea) return; 
         const max = Math.max(0, this.logArea.scrollHeight - this.logArea.clientHeight); 
-        this.logArea.scrollTop = Math.min(max, Math.max(0, this._scrollCache || 0)); 
+        const target = Math.min(max, Math.max(0, this._scrollCache || 0));
+        if (this.logArea.scrollTop === target) return;
+        this.logArea.scrollTop = target; 
+        this._renderVirtualWindow();
     } 
 
     _instantScrollToBottom () {
@@ -2356,7 +6599,7 @@
         void this.logArea.offsetHeight; 
         
         try { 
-            this.logArea.scrollTop = this.logArea.scrollHeight; 
+            this._stickToBottom();
             this._scrollCache = this.logArea.scrollTop; 
         } catch (e) {}
 